@@ -0,0 +1,190 @@
+import type {Data, Literal, Text} from 'mdast'
+import type {Token} from 'mdast-util-from-markdown'
+import type {AttributesStyle} from './lib/index.js'
+import type {Point, Position} from 'unist'
+
+export {attachAttributes} from './lib/attach.js'
+export type {AttachOptions} from './lib/attach.js'
+export {
+  attributesFromMarkdown,
+  attributesToMarkdown,
+  withAttributes
+} from './lib/index.js'
+export type {HeadingId} from './lib/heading-ids.js'
+export type {Merge, MergeStrategy, MergeValue} from './lib/merge.js'
+export type {
+  AttributesStyle,
+  CustomTypes,
+  OnDiagnostic,
+  Options,
+  ToMarkdownOptions,
+  WithAttributesOptions
+} from './lib/index.js'
+export {attributesToHast} from './lib/to-hast.js'
+export type {Policy} from './lib/policy.js'
+export {uniqueIds} from './lib/unique-ids.js'
+export type {
+  IdCollision,
+  Rename,
+  UniqueIdsOptions
+} from './lib/unique-ids.js'
+
+/**
+ * Value of an attribute.
+ *
+ * Parsed values are strings, or `true` for attributes without value when
+ * `booleans` is on.
+ * When serializing, `false`, `null`, and `undefined` remove the attribute,
+ * `true` writes it without value, numbers are stringified, and lists (such
+ * as classes) are joined with spaces.
+ */
+export type AttributeValue =
+  | Array<number | string>
+  | boolean
+  | number
+  | string
+  | null
+  | undefined
+
+/**
+ * Attributes, by name.
+ */
+export type Attributes = Record<string, AttributeValue>
+
+/**
+ * Attributes (`{#id .class key="value"}`) that are not (yet) attached to
+ * another node.
+ */
+export interface MdastAttributes extends Literal {
+  /**
+   * Node type of mdast attributes.
+   */
+  type: 'mdastAttributes'
+
+  /**
+   * Parsed attributes.
+   */
+  attributes: Attributes
+
+  /**
+   * Source of the attributes, including braces.
+   */
+  value: string
+
+  /**
+   * Data associated with the mdast attributes.
+   */
+  data?: MdastAttributesData | undefined
+}
+
+/**
+ * Info associated with mdast attributes nodes by the ecosystem.
+ */
+export interface MdastAttributesData extends Data {}
+
+// Add custom data tracked to turn markdown into a tree.
+declare module 'mdast-util-from-markdown' {
+  interface CompileData {
+    /**
+     * Attributes of the attributes group being parsed.
+     */
+    attributesList?: Array<[key: string, value: string | true]> | undefined
+
+    /**
+     * Places of the attributes in `attributesList`.
+     */
+    attributesPlaces?: Array<Position> | undefined
+
+    /**
+     * Name of the attribute being parsed.
+     */
+    attributeName?: string | undefined
+
+    /**
+     * Start of the name of the attribute being parsed.
+     */
+    attributeNameStart?: Point | undefined
+
+    /**
+     * End of the name of the attribute being parsed.
+     */
+    attributeNameEnd?: Point | undefined
+
+    /**
+     * Value of the attribute being parsed.
+     */
+    attributeValue?: string | undefined
+
+    /**
+     * Token of the attributes group being parsed.
+     */
+    attributesToken?: Token | undefined
+
+    /**
+     * Character reference being parsed in text.
+     */
+    attributesReference?:
+      | {index: number; node: Text; start: Token['start']}
+      | undefined
+  }
+}
+
+// Add the style of attributes to the configuration of serializing.
+declare module 'mdast-util-to-markdown' {
+  interface Options {
+    /**
+     * How to write attributes.
+     *
+     * Set by `attributesToMarkdown`.
+     */
+    attributes?: AttributesStyle | null | undefined
+  }
+}
+
+// Add attributes to the tree.
+declare module 'mdast' {
+  interface Data {
+    /**
+     * Attributes of a node that are not in `hProperties`.
+     *
+     * Set on code, list items, and table rows while parsing (moved to
+     * `hProperties` by `attachAttributes`), and on references to keep their
+     * own attributes apart from those of their definition.
+     */
+    mdastAttributes?: Attributes | undefined
+
+    /**
+     * Source of the attributes of a node (`{ .a  #b }`).
+     *
+     * Set on code, list items, and table rows while parsing, and by
+     * `attachAttributes` on nodes that get their attributes from one
+     * attributes node; `attributesToMarkdown` writes it as it is in
+     * `lossless` mode, while it still parses to the attributes of the node.
+     */
+    mdastAttributesSource?: string | undefined
+  }
+
+  interface RootData {
+    /**
+     * Ids of headings, explicit and generated, to the index of the first
+     * heading with them among all headings in the tree (in document order).
+     *
+     * Set by `attributesFromMarkdown` when `headingIds` is given.
+     */
+    headingIds?: Record<string, number> | undefined
+  }
+
+  interface PhrasingContentMap {
+    /**
+     * Attributes in phrasing content.
+     */
+    mdastAttributes: MdastAttributes
+  }
+
+  interface RootContentMap {
+    /**
+     * Attributes.
+     */
+    mdastAttributes: MdastAttributes
+  }
+}
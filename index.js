@@ -1,4 +1,8 @@
+export {attachAttributes} from './lib/attach.js'
 export {
   attributesFromMarkdown,
-  attributesToMarkdown
+  attributesToMarkdown,
+  withAttributes
 } from './lib/index.js'
+export {attributesToHast} from './lib/to-hast.js'
+export {uniqueIds} from './lib/unique-ids.js'
@@ -0,0 +1,165 @@
+import type {Data, Heading, Paragraph, PhrasingContent, Root, RootContent} from 'mdast'
+import type {Extension as FromMarkdownExtension} from 'mdast-util-from-markdown'
+import type {
+  Handle as ToMarkdownHandle,
+  Options as ToMarkdownExtension
+} from 'mdast-util-to-markdown'
+import {expectAssignable, expectError, expectType} from 'tsd'
+import type {VFileMessage} from 'vfile-message'
+import {
+  attachAttributes,
+  attributesFromMarkdown,
+  attributesToMarkdown,
+  type AttachOptions,
+  type Attributes,
+  type AttributeValue,
+  type AttributesStyle,
+  type CustomTypes,
+  type IdCollision,
+  type Merge,
+  type MergeStrategy,
+  type MdastAttributes,
+  type MdastAttributesData,
+  type OnDiagnostic,
+  type Options,
+  type Policy,
+  type ToMarkdownOptions,
+  type UniqueIdsOptions,
+  uniqueIds,
+  withAttributes,
+  type WithAttributesOptions
+} from './index.js'
+
+const attributes: MdastAttributes = {
+  type: 'mdastAttributes',
+  attributes: {id: 'a', class: 'b c'},
+  value: '{#a .b .c}'
+}
+
+// Options.
+expectType<FromMarkdownExtension>(attributesFromMarkdown())
+expectType<FromMarkdownExtension>(attributesFromMarkdown({attach: true}))
+expectType<FromMarkdownExtension>(
+  attributesFromMarkdown({attach: {inline: ['emphasis']}, blocks: ['code']})
+)
+expectError(attributesFromMarkdown({attach: 'yes'}))
+expectError(attributesFromMarkdown({blocks: 'code'}))
+expectAssignable<Options>({})
+expectAssignable<Options>({
+  onDiagnostic(message) {
+    expectType<VFileMessage>(message)
+  }
+})
+expectAssignable<Options>({booleans: true})
+expectError(attributesFromMarkdown({booleans: 'yes'}))
+expectAssignable<Options>({headingIds: 'github'})
+expectAssignable<Options>({
+  headingIds(text: string, node: Heading) {
+    return text
+  }
+})
+expectError(attributesFromMarkdown({headingIds: 'gitlab'}))
+expectAssignable<Policy>({allow: ['id']})
+expectAssignable<Policy>({
+  allow: {'*': ['id'], link: ['rel']},
+  classes: ['a', /^b-/],
+  protocols: ['https']
+})
+expectError(attributesFromMarkdown({policy: {allow: 'id'}}))
+expectAssignable<OnDiagnostic>(function (message: VFileMessage) {})
+expectError(attributesFromMarkdown({onDiagnostic: 'yes'}))
+
+expectType<ToMarkdownExtension>(attributesToMarkdown())
+expectType<ToMarkdownExtension>(
+  attributesToMarkdown({extensions: [attributesToMarkdown()]})
+)
+expectError(attributesToMarkdown({extensions: [1]}))
+expectAssignable<ToMarkdownOptions>({
+  attributes: {order: 'sort', quote: "'", unquoted: true, shortcuts: false}
+})
+expectAssignable<AttributesStyle>({order: 'source'})
+expectAssignable<AttributesStyle>({lossless: true})
+expectError(attributesToMarkdown({attributes: {quote: '`'}}))
+expectAssignable<ToMarkdownExtension>({attributes: {order: 'id-class'}})
+
+declare const handle: ToMarkdownHandle
+expectType<ToMarkdownHandle>(withAttributes(handle))
+expectType<ToMarkdownHandle>(withAttributes(handle, {block: true}))
+expectAssignable<WithAttributesOptions>({})
+expectError(withAttributes(handle, {block: 'yes'}))
+
+expectType<Root>(attachAttributes({type: 'root', children: []}))
+expectAssignable<AttachOptions>({inline: ['link'], block: ['heading']})
+expectError(attachAttributes({type: 'root', children: []}, {inline: 'link'}))
+expectAssignable<AttachOptions>({
+  merge: {id: 'error', rel: 'concat', '*': 'first'}
+})
+expectAssignable<Merge>({
+  title(current, value, key) {
+    expectType<string>(key)
+    return String(current) + String(value)
+  }
+})
+expectAssignable<MergeStrategy>('last')
+expectError(attachAttributes({type: 'root', children: []}, {merge: {id: 'x'}}))
+expectAssignable<Options>({attach: {merge: {class: 'last'}}})
+expectAssignable<AttachOptions>({
+  orphans: 'warn',
+  onDiagnostic(message) {
+    expectType<VFileMessage>(message)
+  }
+})
+expectError(attachAttributes({type: 'root', children: []}, {orphans: 'drop'}))
+expectAssignable<CustomTypes>({block: ['math'], inline: ['inlineMath']})
+expectAssignable<Options>({custom: {block: ['math']}})
+expectAssignable<AttachOptions>({custom: {inline: ['inlineMath']}})
+expectError(attributesFromMarkdown({custom: {block: 'math'}}))
+
+expectType<Array<IdCollision>>(uniqueIds({type: 'root', children: []}))
+expectAssignable<UniqueIdsOptions>({rename: true})
+expectAssignable<UniqueIdsOptions>({
+  rename(id: string, count: number) {
+    return id + count
+  }
+})
+expectError(uniqueIds({type: 'root', children: []}, {rename: 'yes'}))
+
+// Nodes.
+expectError<MdastAttributes>({type: 'mdastAttributes', value: '{.a}'})
+expectAssignable<MdastAttributes>({
+  type: 'mdastAttributes',
+  attributes: {a: 1, b: true, c: false, d: null, class: ['e', 'f']},
+  value: '{a=1 b .e .f}'
+})
+expectError<MdastAttributes>({
+  type: 'mdastAttributes',
+  attributes: {a: {b: 'c'}},
+  value: '{a}'
+})
+expectAssignable<Data>({} as MdastAttributesData)
+expectAssignable<Attributes>({a: 'b', c: 1, d: true, e: null})
+expectAssignable<AttributeValue>(['a', 1])
+expectError<AttributeValue>({})
+
+// Augmentation.
+expectType<Record<string, number> | undefined>(
+  ({type: 'root', children: []} as Root).data?.headingIds
+)
+expectAssignable<PhrasingContent>(attributes)
+expectAssignable<RootContent>(attributes)
+expectAssignable<Paragraph>({type: 'paragraph', children: [attributes]})
+expectAssignable<Paragraph>({
+  type: 'paragraph',
+  data: {mdastAttributes: {class: 'a'}},
+  children: []
+})
+expectAssignable<Paragraph>({
+  type: 'paragraph',
+  data: {mdastAttributes: {hidden: true, class: ['a', 'b']}},
+  children: []
+})
+expectError<Paragraph>({
+  type: 'paragraph',
+  data: {mdastAttributes: {class: [true]}},
+  children: []
+})
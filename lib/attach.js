@@ -0,0 +1,628 @@
+/**
+ * @import {Definition, ImageReference, LinkReference, Nodes, Parents, Root, Text} from 'mdast'
+ * @import {Position} from 'unist'
+ * @import {Attributes, MdastAttributes} from '../index.js'
+ * @import {CustomTypes, OnDiagnostic} from './index.js'
+ * @import {Merge} from './merge.js'
+ * @import {Policy} from './policy.js'
+ */
+
+/**
+ * @typedef AttachOptions
+ *   Configuration for `attachAttributes` (optional).
+ * @property {ReadonlyArray<string> | null | undefined} [inline]
+ *   Node types that take attributes written directly after them
+ *   (default: `['emphasis', 'strong', 'link', 'image', 'inlineCode',
+ *   'linkReference', 'imageReference', 'delete', 'footnoteReference']`).
+ * @property {ReadonlyArray<string> | null | undefined} [block]
+ *   Node types that take trailing and standalone attributes
+ *   (default: `['heading', 'paragraph', 'code', 'blockquote', 'list',
+ *   'listItem', 'table', 'tableCell', 'definition']`).
+ * @property {CustomTypes | null | undefined} [custom]
+ *   Node types of other extensions that take attributes, in addition to
+ *   `inline` and `block` (optional).
+ * @property {Merge | null | undefined} [merge]
+ *   How to combine values when several attributes target one node, by
+ *   attribute name (default: `{class: 'concat', style: 'concat', id:
+ *   'first', '*': 'last'}`); given strategies are added to the defaults.
+ * @property {OnDiagnostic | null | undefined} [onDiagnostic]
+ *   Called for each attributes node that targets nothing when `orphans` is
+ *   `'warn'`, and for each attribute rejected by `policy` (optional).
+ * @property {'keep' | 'remove' | 'text' | 'warn' | null | undefined} [orphans='keep']
+ *   What to do with attributes nodes that target nothing: leave them,
+ *   remove them, turn them into text of their source, or turn them into
+ *   text and report them to `onDiagnostic` (default: `'keep'`).
+ * @property {Policy | null | undefined} [policy]
+ *   Which attributes are allowed on the nodes they end up on; attributes
+ *   that are not are removed and reported to `onDiagnostic` (optional).
+ *
+ * @typedef AttachState
+ *   Info passed around.
+ * @property {Set<string>} inline
+ *   Inline target types.
+ * @property {Set<string>} block
+ *   Block target types.
+ * @property {Merge} merge
+ *   How to combine values.
+ * @property {'keep' | 'remove' | 'text' | 'warn'} orphans
+ *   What to do with attributes that target nothing.
+ * @property {OnDiagnostic | undefined} onDiagnostic
+ *   Handle a diagnostic, if reporting.
+ * @property {Policy | undefined} policy
+ *   Which attributes are allowed, if checking.
+ * @property {Map<Nodes, Array<MdastAttributes>>} pending
+ *   Attributes nodes found for each target, not yet merged.
+ */
+
+import {VFileMessage} from 'vfile-message'
+import {createMerge, mergeAttributes, mergeStrategy, mergeValue} from './merge.js'
+import {applyPolicyToAttributes, rejectionReason} from './policy.js'
+
+/** @type {ReadonlyArray<string>} */
+const defaultInlineTypes = [
+  'emphasis',
+  'strong',
+  'link',
+  'image',
+  'inlineCode',
+  'linkReference',
+  'imageReference',
+  'delete',
+  'footnoteReference'
+]
+
+/** @type {ReadonlyArray<string>} */
+const defaultBlockTypes = [
+  'heading',
+  'paragraph',
+  'code',
+  'blockquote',
+  'list',
+  'listItem',
+  'table',
+  'tableCell',
+  'definition'
+]
+
+/**
+ * Move `mdastAttributes` nodes onto the nodes they target.
+ *
+ * Attributes end up in `data.hProperties` of their target:
+ *
+ * * `data.mdastAttributes` (such as on code) is moved to `data.hProperties`
+ * * a paragraph that only contains attributes targets the block directly
+ *   below it, otherwise the block directly above it, otherwise the next
+ *   block, otherwise the previous block, otherwise nothing
+ * * attributes directly after an inline node (no whitespace) target it,
+ *   and so do attributes directly after those (`*a*{.x}{.y}`)
+ * * attributes at the end of a block target that block
+ * * attributes of a thematic break (`{.x}\n---`) target that break
+ * * attributes of a definition are merged into the references that use it
+ *
+ * With `policy`, attributes are checked again against the rules of the node
+ * they end up on, as they were checked against the paragraph they were in
+ * when parsing standalone attributes (`{.x}` on its own line) and against
+ * the definition for the attributes of definitions.
+ *
+ * Attributes that target nothing are left in the tree, unless `orphans` is
+ * set.
+ *
+ * When several attributes target one node, they are combined with
+ * `options.merge`, in the order they are attached: `data.hProperties` already
+ * there, `data.mdastAttributes`, standalone attributes, and then other
+ * attributes in source order.
+ * The attributes of a reference win over those of its definition, except
+ * where they are combined by `'concat'` or a function.
+ *
+ * @param {Root} tree
+ *   Tree to transform (modified in place).
+ * @param {AttachOptions | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Root}
+ *   Given tree.
+ */
+export function attachAttributes(tree, options) {
+  const settings = options || {}
+  /** @type {AttachState} */
+  const state = {
+    inline: new Set([
+      ...(settings.inline || defaultInlineTypes),
+      ...((settings.custom && settings.custom.inline) || [])
+    ]),
+    block: new Set([
+      ...(settings.block || defaultBlockTypes),
+      ...((settings.custom && settings.custom.block) || [])
+    ]),
+    merge: createMerge(settings.merge),
+    orphans: settings.orphans || 'keep',
+    onDiagnostic: settings.onDiagnostic || undefined,
+    pending: new Map(),
+    policy: settings.policy || undefined
+  }
+
+  attachDataAttributes(tree, state)
+  attachStandaloneAttributes(tree, state)
+  attachChildAttributes(tree, state)
+  mergePendingAttributes(state)
+  attachDefinitionAttributes(tree, state)
+
+  if (state.orphans !== 'keep') {
+    handleOrphans(tree, state)
+  }
+
+  return tree
+}
+
+/**
+ * Move `data.mdastAttributes` to `data.hProperties`.
+ *
+ * @param {Nodes} node
+ * @param {AttachState} state
+ */
+function attachDataAttributes(node, state) {
+  const data = /** @type {{mdastAttributes?: Attributes} | undefined} */ (
+    node.data
+  )
+
+  if (data && data.mdastAttributes) {
+    mergeAttributesToNode(
+      node,
+      allowedAttributes(node, data.mdastAttributes, state, node.position),
+      state,
+      node.position
+    )
+    delete data.mdastAttributes
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) attachDataAttributes(child, state)
+  }
+}
+
+/**
+ * Move paragraphs that only contain attributes onto a sibling block.
+ *
+ * @param {Parents} parent
+ * @param {AttachState} state
+ */
+function attachStandaloneAttributes(parent, state) {
+  // Walk backwards so that removals do not affect indices still to visit.
+  for (let index = parent.children.length - 1; index >= 0; index--) {
+    const child = parent.children[index]
+    const attributes = standaloneAttributes(child)
+
+    if (attributes) {
+      const previous = parent.children[index - 1]
+      const next = parent.children[index + 1]
+      const previousOk = isBlockTarget(previous, state)
+      const nextOk = isBlockTarget(next, state)
+      const target =
+        nextOk && isDirectlyBelow(next, child)
+          ? next
+          : previousOk && (!nextOk || isDirectlyBelow(child, previous))
+            ? previous
+            : nextOk
+              ? next
+              : undefined
+
+      if (target) {
+        queueAttributes(target, attributes, state)
+        parent.children.splice(index, 1)
+        continue
+      }
+    }
+
+    if ('children' in child) attachStandaloneAttributes(child, state)
+  }
+}
+
+/**
+ * Move `mdastAttributes` children onto inline siblings or their parent.
+ *
+ * @param {Nodes} node
+ * @param {AttachState} state
+ */
+function attachChildAttributes(node, state) {
+  if (node.type === 'thematicBreak') {
+    const thematicBreak = /** @type {{children?: Array<MdastAttributes>}} */ (
+      node
+    )
+    for (const child of thematicBreak.children || []) {
+      queueAttributes(node, child, state)
+    }
+
+    delete thematicBreak.children
+    return
+  }
+
+  if (!('children' in node)) return
+
+  const children = /** @type {Array<Nodes>} */ (node.children)
+
+  for (let index = children.length - 1; index >= 0; index--) {
+    const child = children[index]
+
+    if (child.type === 'mdastAttributes') {
+      let start = index
+
+      // Attributes directly after other attributes (`{.x}{.y}`) go together.
+      while (
+        start > 0 &&
+        children[start - 1].type === 'mdastAttributes' &&
+        isAdjacent(children[start - 1], children[start])
+      ) {
+        start--
+      }
+
+      attachAttributesNodes(node, start, index + 1, state)
+      index = start
+    } else {
+      attachChildAttributes(child, state)
+    }
+  }
+}
+
+/**
+ * Attach the attributes nodes from `start` to `end`, which are directly after
+ * each other, to the same target.
+ *
+ * @param {Parents} parent
+ * @param {number} start
+ * @param {number} end
+ * @param {AttachState} state
+ */
+function attachAttributesNodes(parent, start, end, state) {
+  const children = /** @type {Array<Nodes>} */ (parent.children)
+  const nodes = /** @type {Array<MdastAttributes>} */ (
+    children.slice(start, end)
+  )
+  const previous = children[start - 1]
+  /** @type {Nodes | undefined} */
+  let target
+
+  // No whitespace between the node and its attributes.
+  if (
+    previous &&
+    state.inline.has(previous.type) &&
+    isAdjacent(previous, nodes[0])
+  ) {
+    target = previous
+  } else if (
+    end === children.length &&
+    state.block.has(parent.type) &&
+    // A paragraph of only attributes that targets no sibling is an orphan.
+    !(start === 0 && parent.type === 'paragraph')
+  ) {
+    target = parent
+  }
+
+  if (!target) return
+
+  for (const node of nodes) {
+    queueAttributes(target, node, state)
+  }
+
+  children.splice(start, end - start)
+}
+
+/**
+ * Check whether `node` starts where `previous` ends.
+ * Without positional info, nodes are considered adjacent.
+ *
+ * @param {Nodes} previous
+ * @param {Nodes} node
+ * @returns {boolean}
+ */
+function isAdjacent(previous, node) {
+  const start = node.position?.start.offset
+  const end = previous.position?.end.offset
+  return start === undefined || end === undefined || start === end
+}
+
+/**
+ * Remove attributes nodes that target nothing, or turn them into text.
+ *
+ * @param {Nodes} node
+ * @param {AttachState} state
+ */
+function handleOrphans(node, state) {
+  if (!('children' in node)) return
+
+  const children = /** @type {Array<Nodes>} */ (node.children)
+
+  for (let index = 0; index < children.length; index++) {
+    const child = children[index]
+
+    if (child.type !== 'mdastAttributes') {
+      handleOrphans(child, state)
+
+      // A paragraph of only removed attributes (`{.x}` on its own).
+      if (child.type === 'paragraph' && child.children.length === 0) {
+        children.splice(index, 1)
+        index--
+      }
+
+      continue
+    }
+
+    if (state.orphans === 'remove') {
+      children.splice(index, 1)
+      index--
+      continue
+    }
+
+    if (state.orphans === 'warn' && state.onDiagnostic) {
+      state.onDiagnostic(
+        new VFileMessage(
+          'Unexpected attributes that target nothing, expected them directly after an inline node or at the end of a block',
+          {
+            place: child.position,
+            ruleId: 'orphan-attributes',
+            source: 'mdast-util-attributes'
+          }
+        )
+      )
+    }
+
+    const previous = children[index - 1]
+    attributesToText(children, index)
+    // The text is merged into the previous text node.
+    if (previous && previous.type === 'text') index--
+  }
+}
+
+/**
+ * Replace an `mdastAttributes` node with its source text, merging it into
+ * adjacent text nodes.
+ *
+ * @param {Array<Nodes>} children
+ * @param {number} index
+ */
+export function attributesToText(children, index) {
+  const node = /** @type {MdastAttributes} */ (children[index])
+  /** @type {Text} */
+  const text = {type: 'text', value: node.value}
+  if (node.position) text.position = node.position
+  children[index] = text
+
+  const next = children[index + 1]
+  if (next && next.type === 'text') {
+    mergeText(text, next)
+    children.splice(index + 1, 1)
+  }
+
+  const previous = children[index - 1]
+  if (previous && previous.type === 'text') {
+    mergeText(previous, text)
+    children.splice(index, 1)
+  }
+}
+
+/**
+ * Append `right` to `left`.
+ *
+ * @param {Text} left
+ * @param {Text} right
+ */
+function mergeText(left, right) {
+  left.value += right.value
+
+  if (left.position && right.position) {
+    left.position = {start: left.position.start, end: right.position.end}
+  } else {
+    delete left.position
+  }
+}
+
+/**
+ * Merge attributes of definitions into the references that use them.
+ * The attributes of the reference itself win, except where they are combined
+ * by `'concat'` or a function.
+ * The reference's own attributes are kept in `data.mdastAttributes`, so that
+ * serializing does not copy the definition's attributes onto each reference.
+ *
+ * @param {Root} tree
+ * @param {AttachState} state
+ */
+function attachDefinitionAttributes(tree, state) {
+  /** @type {Map<string, Attributes>} */
+  const definitions = new Map()
+  /** @type {Array<ImageReference | LinkReference>} */
+  const references = []
+
+  collect(tree)
+
+  if (definitions.size === 0) return
+
+  for (const reference of references) {
+    const definition = definitions.get(reference.identifier)
+    if (!definition) continue
+    const attributes = allowedAttributes(
+      reference,
+      definition,
+      state,
+      reference.position
+    )
+
+    const data = /** @type {{hProperties?: Attributes, mdastAttributes?: Attributes}} */ (
+      reference.data || (reference.data = {})
+    )
+    const own = data.hProperties || {}
+    /** @type {Attributes} */
+    const properties = {...attributes}
+
+    for (const [key, value] of Object.entries(own)) {
+      const strategy = mergeStrategy(state.merge, key)
+
+      properties[key] =
+        attributes[key] !== undefined &&
+        (strategy === 'concat' || typeof strategy === 'function')
+          ? mergeValue(strategy, key, attributes[key], value)
+          : value
+    }
+
+    data.mdastAttributes = own
+    data.hProperties = properties
+  }
+
+  /**
+   * @param {Nodes} node
+   */
+  function collect(node) {
+    if (node.type === 'definition') {
+      const properties = /** @type {Definition & {data?: {hProperties?: Attributes}}} */ (
+        node
+      ).data?.hProperties
+      // First definition wins, like in markdown.
+      if (properties && !definitions.has(node.identifier)) {
+        definitions.set(node.identifier, properties)
+      }
+    } else if (
+      node.type === 'linkReference' ||
+      node.type === 'imageReference'
+    ) {
+      references.push(node)
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) collect(child)
+    }
+  }
+}
+
+/**
+ * Get the attributes node of a paragraph that contains nothing else.
+ *
+ * @param {Nodes} node
+ * @returns {MdastAttributes | undefined}
+ */
+function standaloneAttributes(node) {
+  if (
+    node.type === 'paragraph' &&
+    node.children.length === 1 &&
+    node.children[0].type === 'mdastAttributes'
+  ) {
+    return /** @type {MdastAttributes} */ (node.children[0])
+  }
+}
+
+/**
+ * @param {Nodes | undefined} node
+ * @param {AttachState} state
+ * @returns {node is Nodes}
+ */
+function isBlockTarget(node, state) {
+  return Boolean(
+    node && state.block.has(node.type) && !standaloneAttributes(node)
+  )
+}
+
+/**
+ * Check whether `node` starts on the line after `above` ends.
+ * Without positional info, nodes are not considered adjacent.
+ *
+ * @param {Nodes} node
+ * @param {Nodes} above
+ * @returns {boolean}
+ */
+function isDirectlyBelow(node, above) {
+  if (!node.position || !above.position) return false
+  return node.position.start.line === above.position.end.line + 1
+}
+
+/**
+ * Remember an attributes node for `node`, to merge it later in source order.
+ *
+ * @param {Nodes} node
+ * @param {MdastAttributes} attributes
+ * @param {AttachState} state
+ */
+function queueAttributes(node, attributes, state) {
+  let list = state.pending.get(node)
+  if (!list) state.pending.set(node, (list = []))
+  list.push(attributes)
+}
+
+/**
+ * Merge the remembered attributes of each target, in source order.
+ * A target that gets all its attributes from one attributes node keeps its
+ * source, for lossless serializing.
+ *
+ * @param {AttachState} state
+ */
+function mergePendingAttributes(state) {
+  for (const [node, list] of state.pending) {
+    const sorted = [...list].sort(function (a, b) {
+      const left = a.position?.start.offset
+      const right = b.position?.start.offset
+      return left === undefined || right === undefined ? 0 : left - right
+    })
+    const fresh = !node.data || !node.data.hProperties
+
+    for (const item of sorted) {
+      mergeAttributesToNode(
+        node,
+        allowedAttributes(node, item.attributes, state, item.position),
+        state,
+        item.position
+      )
+    }
+
+    if (fresh && sorted.length === 1 && node.data) {
+      node.data.mdastAttributesSource = sorted[0].value
+    }
+  }
+
+  state.pending.clear()
+}
+
+/**
+ * Remove attributes that the policy does not allow on `node`, and report
+ * them.
+ *
+ * @param {Nodes} node
+ * @param {Attributes} attributes
+ * @param {AttachState} state
+ * @param {Position | undefined} place
+ *   Place of the attributes.
+ * @returns {Attributes}
+ *   Allowed attributes.
+ */
+function allowedAttributes(node, attributes, state, place) {
+  if (!state.policy) return attributes
+
+  const result = applyPolicyToAttributes(attributes, node.type, state.policy)
+
+  if (state.onDiagnostic) {
+    for (const rejection of result.rejections) {
+      state.onDiagnostic(
+        new VFileMessage(rejectionReason(rejection, node.type), {
+          place,
+          ruleId: 'disallowed-' + rejection.reason,
+          source: 'mdast-util-attributes'
+        })
+      )
+    }
+  }
+
+  return result.attributes
+}
+
+/**
+ * @param {Nodes} node
+ * @param {Attributes} attributes
+ * @param {AttachState} state
+ * @param {Position | undefined} place
+ *   Place of the attributes.
+ */
+function mergeAttributesToNode(node, attributes, state, place) {
+  const data = /** @type {{hProperties?: Attributes}} */ (
+    node.data || (node.data = {})
+  )
+  mergeAttributes(
+    data.hProperties || (data.hProperties = {}),
+    attributes,
+    state.merge,
+    place
+  )
+}
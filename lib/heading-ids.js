@@ -0,0 +1,149 @@
+/**
+ * @import {Heading, Nodes, PhrasingContent, Root} from 'mdast'
+ * @import {Attributes, MdastAttributes} from '../index.js'
+ */
+
+/**
+ * @callback HeadingId
+ *   Make an id for a heading without one.
+ * @param {string} text
+ *   Text of the heading, without attributes.
+ * @param {Heading} node
+ *   Heading.
+ * @returns {string}
+ *   Id; `-1`, `-2`, and so on is appended while it is already used.
+ */
+
+import {slug} from 'github-slugger'
+import {toString} from 'mdast-util-to-string'
+import {collectIds} from './unique-ids.js'
+
+/**
+ * Give headings without an explicit id (`# a {#b}`) a generated one, and
+ * store all heading ids in `tree.data.headingIds`, as an object of ids to
+ * the index of the first heading with them among all headings in the tree,
+ * so that it survives serializing the tree as JSON.
+ *
+ * All ids in the document are reserved first, so generated ids never
+ * collide with them.
+ * Generated ids go in `data.hProperties`.
+ *
+ * @param {Root} tree
+ * @param {'github' | HeadingId} headingIds
+ * @returns {Root}
+ */
+export function addHeadingIds(tree, headingIds) {
+  const create = headingIds === 'github' ? githubId : headingIds
+  /** @type {Set<string>} */
+  const used = new Set()
+  /** @type {Record<string, number>} */
+  const ids = Object.create(null)
+  /** @type {Array<Heading>} */
+  const headings = []
+
+  for (const occurrence of collectIds(tree)) {
+    used.add(occurrence.id)
+  }
+
+  collectHeadings(tree, headings)
+
+  for (const [index, heading] of headings.entries()) {
+    const explicit = explicitId(heading)
+
+    if (explicit) {
+      if (!(explicit in ids)) ids[explicit] = index
+      continue
+    }
+
+    const base = create(headingText(heading.children).trim(), heading)
+    let id = base
+    let count = 0
+
+    while (used.has(id)) id = base + '-' + ++count
+
+    used.add(id)
+    ids[id] = index
+
+    const data = /** @type {{hProperties?: Attributes}} */ (
+      heading.data || (heading.data = {})
+    )
+    data.hProperties = {...data.hProperties, id}
+  }
+
+  const data = tree.data || (tree.data = {})
+  data.headingIds = ids
+  return tree
+}
+
+/**
+ * @type {HeadingId}
+ */
+function githubId(text) {
+  return slug(text)
+}
+
+/**
+ * @param {Nodes} node
+ * @param {Array<Heading>} headings
+ */
+function collectHeadings(node, headings) {
+  if (node.type === 'heading') {
+    headings.push(node)
+  } else if ('children' in node) {
+    for (const child of node.children) collectHeadings(child, headings)
+  }
+}
+
+/**
+ * Get the id a heading has, whether attached (`data.hProperties`) or not
+ * (a trailing `mdastAttributes` node that does not target an inline node,
+ * like `attachAttributes` decides).
+ *
+ * @param {Heading} node
+ * @returns {string | undefined}
+ */
+function explicitId(node) {
+  const data = /** @type {{hProperties?: Attributes, mdastAttributes?: Attributes} | undefined} */ (
+    node.data
+  )
+  const properties = data && (data.hProperties || data.mdastAttributes)
+
+  if (properties && typeof properties.id === 'string' && properties.id) {
+    return properties.id
+  }
+
+  const children = node.children
+  const last = children[children.length - 1]
+  const previous = children[children.length - 2]
+
+  if (!last || last.type !== 'mdastAttributes') return
+
+  const id = /** @type {MdastAttributes} */ (last).attributes.id
+
+  if (typeof id !== 'string' || !id) return
+
+  if (previous && previous.type !== 'text') {
+    const start = last.position?.start.offset
+    const end = previous.position?.end.offset
+    if (start === undefined || end === undefined || start === end) return
+  }
+
+  return id
+}
+
+/**
+ * Get the text of phrasing content, without attributes.
+ *
+ * @param {Array<PhrasingContent>} children
+ * @returns {string}
+ */
+function headingText(children) {
+  let result = ''
+
+  for (const child of children) {
+    if (child.type === 'mdastAttributes') continue
+    result += 'children' in child ? headingText(child.children) : toString(child)
+  }
+
+  return result
+}
@@ -1,41 +1,216 @@
 /**
  * @import {CompileContext, Extension as FromMarkdownExtension, Handle as FromMarkdownHandle, Token} from 'mdast-util-from-markdown'
- * @import {Options as ToMarkdownExtension, Handle as ToMarkdownHandle, State, Info} from 'mdast-util-to-markdown'
- * @import {Emphasis, Strong, Link, Image, InlineCode, Heading, Code, Paragraph, Text, Nodes, Parents, Root, RootContent, PhrasingContent, ThematicBreak} from 'mdast'
+ * @import {Options as ToMarkdownExtension, Handle as ToMarkdownHandle, Handlers, Join, State, Info, Unsafe} from 'mdast-util-to-markdown'
+ * @import {Heading, Code, Definition, Paragraph, Text, Nodes, Parents, Root, RootContent, PhrasingContent, ThematicBreak, Blockquote, List, ListItem, Table, TableRow, TableCell, LinkReference, ImageReference} from 'mdast'
+ * @import {Point, Position} from 'unist'
+ * @import {AttributeValue, Attributes, MdastAttributes} from '../index.js'
+ * @import {AttachOptions} from './attach.js'
+ * @import {HeadingId} from './heading-ids.js'
+ * @import {Merge} from './merge.js'
+ * @import {Policy} from './policy.js'
  */
 
+import {defaultHandlers} from 'mdast-util-to-markdown'
+import {toString} from 'mdast-util-to-string'
+import {normalizeIdentifier} from 'micromark-util-normalize-identifier'
 import {parseEntities} from 'parse-entities'
 import {stringifyEntitiesLight} from 'stringify-entities'
+import {VFileMessage} from 'vfile-message'
+import {attachAttributes, attributesToText} from './attach.js'
+import {addHeadingIds} from './heading-ids.js'
+import {createMerge} from './merge.js'
+import {listToAttributes, parseAttributes} from './parse-attributes.js'
+import {applyPolicy, rejectionReason} from './policy.js'
 
 /**
- * @typedef MdastAttributes
- * @property {'mdastAttributes'} type
- * @property {Record<string, string>} attributes
- * @property {import('unist').Position} [position]
+ * @typedef Options
+ *   Configuration for `attributesFromMarkdown` (optional).
+ * @property {AttachOptions | boolean | null | undefined} [attach=false]
+ *   Whether to also run `attachAttributes` on the tree, moving attributes
+ *   onto their targets; pass an object to configure it (default: `false`);
+ *   its `merge` also combines an attribute given twice in one block.
+ * @property {boolean | null | undefined} [booleans=false]
+ *   Whether attributes without value (`{hidden}`) are `true` instead of an
+ *   empty string (default: `false`).
+ * @property {CustomTypes | null | undefined} [custom]
+ *   Node types of other extensions that take attributes (optional); also
+ *   passed to `attachAttributes` when `attach` is set.
+ * @property {ReadonlyArray<string> | null | undefined} [blocks]
+ *   Block types to extract attributes from
+ *   (default: `['code', 'heading', 'listItem', 'paragraph', 'tableCell',
+ *   'tableRow']`);
+ *   attributes at the end of other blocks are left as text, and without
+ *   `'paragraph'` so are paragraphs of only attributes (`{.note}` on its own
+ *   line).
+ * @property {'github' | HeadingId | null | undefined} [headingIds]
+ *   Give headings without an explicit id a generated one: `'github'` to
+ *   slug their text like GitHub, or a function to make an id (optional);
+ *   ids already in the document are reserved first, and all heading ids are
+ *   stored in `tree.data.headingIds`.
+ * @property {OnDiagnostic | null | undefined} [onDiagnostic]
+ *   Called for each malformed or suspicious attributes block, and for each
+ *   attribute rejected by `policy` (optional); also passed to
+ *   `attachAttributes` when `attach` is set.
+ * @property {Policy | null | undefined} [policy]
+ *   Which attributes are allowed (optional); other attributes are removed,
+ *   and reported to `onDiagnostic`.
+ *
+ * @typedef CustomTypes
+ *   Node types of other extensions (such as math or directives) that take
+ *   attributes.
+ * @property {ReadonlyArray<string> | null | undefined} [block]
+ *   Block types (optional): attributes at the end of their text are
+ *   extracted when they contain phrasing, the blocks in them are processed
+ *   when they contain blocks, and paragraphs of only attributes next to
+ *   them target them.
+ * @property {ReadonlyArray<string> | null | undefined} [inline]
+ *   Inline types (optional): attributes directly after them target them.
+ *
+ * @callback OnDiagnostic
+ *   Handle a diagnostic.
+ * @param {VFileMessage} message
+ *   Message, with a `ruleId` of `'disallowed-attribute'`,
+ *   `'disallowed-class'`, `'disallowed-protocol'`, `'duplicate-attribute'`,
+ *   `'duplicate-id'`, `'empty-attributes'`, `'orphan-attributes'`, or
+ *   `'unparseable-attributes'`, a `source` of `'mdast-util-attributes'`, and
+ *   a `place`.
+ * @returns {undefined | void}
+ *   Nothing.
+ *
+ * @typedef BlockState
+ *   Info passed around while processing blocks.
+ * @property {Set<string>} blocks
+ *   Block types to extract trailing attributes from.
+ * @property {boolean} booleans
+ *   Whether attributes without value are `true`.
+ * @property {Set<string>} custom
+ *   Custom block types.
+ * @property {Set<string>} definitions
+ *   Identifiers of definitions with attributes on the same line, in the
+ *   tree being transformed.
+ * @property {Merge} merge
+ *   How to combine values of an attribute given twice in one block.
+ * @property {OnDiagnostic | undefined} onDiagnostic
+ *   Handle a diagnostic, if reporting.
+ * @property {Policy | undefined} policy
+ *   Which attributes are allowed, if not all.
+ *
+ * @typedef {ReadonlyArray<Position | undefined> | ReadonlyArray<readonly [start: number, end: number]>} Places
+ *   Place of each attribute in a list, or its range in the source of a text
+ *   node.
+ *
+ * @typedef Literal
+ *   Characters in the value of a text node that a character escape (`\{`) or
+ *   character reference (`&#123;`) was decoded to.
+ * @property {number} start
+ *   Index of the first character in the value.
+ * @property {number} end
+ *   Index after the last character in the value.
+ * @property {string} source
+ *   Escape or reference as written.
+ *
+ * @typedef Source
+ *   Value of a text node, or of the language or meta of code, as written.
+ * @property {string} value
+ *   Value, with escapes and references instead of what they were decoded to.
+ * @property {Array<boolean>} literal
+ *   Whether each character of `value` is part of an escape or reference.
+ * @property {Array<number>} toValue
+ *   Index in the value of the node of each index in `value`, and of its end.
+ * @property {Array<number>} toSource
+ *   Index in `value` of each index in the value of the node, and of its end.
  */
 
-// Regex to match trailing attributes: {#id .class key="value"}
-const trailingAttributesRegex = /(\s*)\{([^}]+)\}(\s*)$/
+/**
+ * Escapes and references in text nodes, so that attributes are found in text
+ * as it is written.
+ *
+ * @type {WeakMap<Text, Array<Literal>>}
+ */
+const literals = new WeakMap()
 
-// Regex to parse individual attributes within braces
-const attributeRegex = /(?:#([\w-]+))|(?:\.([\w-]+))|(?:([\w-:]+)(?:=(?:"([^"]*)"|'([^']*)'|([\w-]+)))?)/g
+/**
+ * Escapes and references in the language and meta of code.
+ *
+ * @type {WeakMap<Code, {lang?: Array<Literal> | undefined, meta?: Array<Literal> | undefined}>}
+ */
+const infoLiterals = new WeakMap()
+
+/** @type {ReadonlyArray<string>} */
+const defaultBlockTypes = [
+  'code',
+  'heading',
+  'listItem',
+  'paragraph',
+  'tableCell',
+  'tableRow'
+]
 
 /**
  * Create an extension for `mdast-util-from-markdown` to enable attributes.
  *
- * This is a pure parsing extension that creates `mdastAttributes` nodes
- * with correct position information. It does NOT determine where attributes
- * should attach - that's the responsibility of a transform plugin.
+ * By default this is a pure parsing extension that creates `mdastAttributes`
+ * nodes with correct position information. It does NOT determine where
+ * attributes should attach, unless `attach` is set, in which case
+ * `attachAttributes` runs after parsing.
  *
+ * @param {Options | null | undefined} [options]
+ *   Configuration (optional).
  * @returns {FromMarkdownExtension}
  */
-export function attributesFromMarkdown() {
+export function attributesFromMarkdown(options) {
+  const settings = options || {}
+  /** @type {BlockState} */
+  const state = {
+    blocks: new Set(settings.blocks || defaultBlockTypes),
+    booleans: Boolean(settings.booleans),
+    custom: new Set((settings.custom && settings.custom.block) || []),
+    definitions: new Set(),
+    merge: createMerge(
+      settings.attach && settings.attach !== true
+        ? settings.attach.merge
+        : undefined
+    ),
+    onDiagnostic: settings.onDiagnostic || undefined,
+    policy: settings.policy || undefined
+  }
+  const transforms = [
+    /** @param {Root} tree */
+    function (tree) {
+      return transformBlockAttributes(tree, state)
+    }
+  ]
+
+  if (settings.attach) {
+    /** @type {AttachOptions} */
+    const attachOptions = {
+      custom: settings.custom,
+      onDiagnostic: state.onDiagnostic,
+      policy: state.policy,
+      ...(settings.attach === true ? undefined : settings.attach)
+    }
+    transforms.push(function (tree) {
+      return attachAttributes(tree, attachOptions)
+    })
+  }
+
+  if (settings.headingIds) {
+    const headingIds = settings.headingIds
+    transforms.push(function (tree) {
+      return addHeadingIds(tree, headingIds)
+    })
+  }
+
   return {
     enter: {
       attributes: enterAttributes
     },
     exit: {
-      attributes: exitAttributes,
+      attributes(token) {
+        exitAttributes.call(this, token, state)
+      },
+      characterEscape: exitCharacterEscape,
+      characterReferenceMarker: exitCharacterReferenceMarker,
       attribute: exitAttribute,
       attributeIdValue: exitAttributeIdValue,
       attributeClassValue: exitAttributeClassValue,
@@ -43,7 +218,7 @@ export function attributesFromMarkdown() {
       attributeValue: exitAttributeValue,
       attributeValueData: exitAttributeValueData
     },
-    transforms: [transformBlockAttributes]
+    transforms
   }
 }
 
@@ -55,13 +230,21 @@ export function attributesFromMarkdown() {
  * Transform to process block-level attributes into nodes.
  * Creates `mdastAttributes` nodes with correct positions.
  * Recursively processes all block elements including list items and blockquotes.
- * Also converts setext headings that contain only attributes to thematic breaks.
+ * Also converts setext headings that contain only attributes, and paragraphs
+ * that contain only attributes directly above a rule, to thematic breaks.
+ * Blocks not in `state.blocks` keep their trailing attributes as text.
+ * Paragraphs that are definitions with attributes on the same line
+ * (`[a]: /b {.c}`) are turned into definitions, and references to them
+ * into references.
  *
  * @param {Root} tree
+ * @param {BlockState} state
  * @returns {Root}
  */
-function transformBlockAttributes(tree) {
-  processBlockChildren(tree.children, tree)
+function transformBlockAttributes(tree, state) {
+  state.definitions.clear()
+  processBlockChildren(tree.children, tree, state)
+  if (state.definitions.size > 0) resolveReferences(tree, state.definitions)
   return tree
 }
 
@@ -69,34 +252,108 @@ function transformBlockAttributes(tree) {
  * Recursively process block children for attributes.
  * @param {Array<Nodes>} children
  * @param {Parents} parent - Parent node for array modification
+ * @param {BlockState} state
  */
-function processBlockChildren(children, parent) {
+function processBlockChildren(children, parent, state) {
   for (let i = 0; i < children.length; i++) {
     const node = children[i]
 
     if (node.type === 'heading') {
-      processHeadingAttributes(node)
+      reportInlineAttributes(node, state, state.blocks.has('heading'))
+
+      if (state.blocks.has('heading')) {
+        processTrailingAttributes(node, state)
+      }
+
       // Check if this heading should be converted to a thematic break
       const replacement = convertSetextHeadingToThematicBreak(node)
       if (replacement) {
         children[i] = replacement
+      } else if (!state.blocks.has('heading')) {
+        restoreTrailingAttributes(node)
       }
     } else if (node.type === 'paragraph') {
-      processParagraphAttributes(node)
+      const definition = paragraphToDefinition(node, state)
+
+      if (definition) {
+        children[i] = definition
+        continue
+      }
+
+      // A paragraph of only attributes is turned off too, so that a line
+      // such as `{name}` in a template stays text.
+      reportInlineAttributes(node, state, state.blocks.has('paragraph'))
+
+      if (state.blocks.has('paragraph')) {
+        processTrailingAttributes(node, state)
+      } else {
+        restoreTrailingAttributes(node)
+      }
     } else if (node.type === 'code') {
-      processCodeAttributes(node)
+      if (state.blocks.has('code')) {
+        processCodeAttributes(node, state)
+      }
     } else if (node.type === 'blockquote') {
-      processBlockquoteAttributes(node)
+      processBlockquoteAttributes(node, state)
     } else if (node.type === 'list') {
-      processListAttributes(node)
+      processListAttributes(node, state)
     } else if (node.type === 'listItem') {
-      processListItemAttributes(node)
+      processListItemAttributes(node, state)
     } else if (node.type === 'table') {
-      processTableAttributes(node)
+      processTableAttributes(node, state)
+    } else if (node.type === 'thematicBreak') {
+      if (mergeAttributesIntoThematicBreak(children, i)) i--
+    } else if (state.custom.has(node.type) && 'children' in node) {
+      processCustomAttributes(node, state)
     }
   }
 }
 
+/**
+ * Process attributes in a custom block: trailing attributes when it contains
+ * phrasing (text), and the blocks in it otherwise.
+ * @param {Parents} node
+ * @param {BlockState} state
+ */
+function processCustomAttributes(node, state) {
+  const children = /** @type {Array<Nodes>} */ (node.children)
+
+  if (
+    children.some(function (child) {
+      return child.type === 'text'
+    })
+  ) {
+    reportInlineAttributes(node, state, true)
+    processTrailingAttributes(/** @type {Paragraph} */ (node), state)
+  } else {
+    processBlockChildren(children, node, state)
+  }
+}
+
+/**
+ * Turn trailing block attributes that the inline tokenizer created back into
+ * text, for blocks that have trailing attribute extraction turned off.
+ * Attributes directly after a non-text inline node are left alone: they
+ * target that node, not the block.
+ *
+ * @param {Heading | Paragraph | TableCell} node
+ */
+function restoreTrailingAttributes(node) {
+  const children = /** @type {Array<Nodes>} */ (node.children)
+  const index = children.length - 1
+  const last = children[index]
+  if (!last || last.type !== 'mdastAttributes') return
+
+  const previous = children[index - 1]
+  if (previous && previous.type !== 'text') {
+    const start = last.position?.start.offset
+    const end = previous.position?.end.offset
+    if (start === undefined || end === undefined || start === end) return
+  }
+
+  attributesToText(children, index)
+}
+
 /**
  * Check if a heading contains only mdastAttributes nodes (no actual text content).
  * If so, convert it to a thematic break (for setext headings like `{.class}\n---`).
@@ -108,31 +365,17 @@ function convertSetextHeadingToThematicBreak(heading) {
   // Only depth-2 headings can be setext headings with ---
   if (heading.depth !== 2) return null
   if (!heading.children || heading.children.length === 0) return null
-
-  // Check all children are mdastAttributes or whitespace-only text
-  /** @type {Array<MdastAttributes>} */
-  const attrNodes = []
-  let hasOnlyAttributes = true
-
-  for (const child of heading.children) {
-    if (child.type === 'mdastAttributes') {
-      attrNodes.push(/** @type {MdastAttributes} */ (child))
-    } else if (child.type === 'text') {
-      // Allow only whitespace text nodes
-      if (child.value.trim() !== '') {
-        hasOnlyAttributes = false
-        break
-      }
-    } else {
-      hasOnlyAttributes = false
-      break
-    }
-  }
-
-  if (!hasOnlyAttributes || attrNodes.length === 0) {
+  // An ATX heading (`## {.class}`) fits on one line; a setext heading cannot.
+  if (
+    heading.position &&
+    heading.position.start.line === heading.position.end.line
+  ) {
     return null
   }
 
+  const attrNodes = onlyAttributes(heading.children)
+  if (!attrNodes) return null
+
   // Create thematic break with the attributes as children
   /** @type {ThematicBreak & {children?: Array<MdastAttributes>}} */
   const thematicBreak = {
@@ -161,74 +404,619 @@ function convertSetextHeadingToThematicBreak(heading) {
   return thematicBreak
 }
 
+/**
+ * Move the attributes of a paragraph that contains only attributes into the
+ * thematic break directly below it (for `{.class}\n***` and `{.class}\n___`,
+ * where the rule interrupts the paragraph instead of underlining it).
+ *
+ * @param {Array<Nodes>} children
+ * @param {number} index
+ *   Index of the thematic break.
+ * @returns {boolean}
+ *   Whether the paragraph was removed.
+ */
+function mergeAttributesIntoThematicBreak(children, index) {
+  const previous = children[index - 1]
+  const node = /** @type {ThematicBreak & {children?: Array<MdastAttributes>}} */ (
+    children[index]
+  )
+
+  if (
+    !previous ||
+    previous.type !== 'paragraph' ||
+    !previous.position ||
+    !node.position ||
+    previous.position.end.line + 1 !== node.position.start.line
+  ) {
+    return false
+  }
+
+  const attrNodes = onlyAttributes(previous.children)
+  if (!attrNodes) return false
+
+  node.children = [...attrNodes, ...(node.children || [])]
+  children.splice(index - 1, 1)
+  return true
+}
+
+/**
+ * Get the attributes nodes of phrasing content that contains nothing else
+ * (except whitespace).
+ *
+ * @param {Array<PhrasingContent>} children
+ * @returns {Array<MdastAttributes> | undefined}
+ */
+function onlyAttributes(children) {
+  /** @type {Array<MdastAttributes>} */
+  const attrNodes = []
+
+  for (const child of children) {
+    if (child.type === 'mdastAttributes') {
+      attrNodes.push(/** @type {MdastAttributes} */ (child))
+    } else if (child.type !== 'text' || child.value.trim() !== '') {
+      return
+    }
+  }
+
+  return attrNodes.length > 0 ? attrNodes : undefined
+}
+
+/**
+ * A definition without attributes: label, destination (with or without
+ * angle brackets), optional title (in double quotes, single quotes, or
+ * parens), and whitespace before the attributes.
+ */
+const definitionExpression =
+  /^\[([^[\]]+)\]:[\t ]*\n?[\t ]*(?:<([^\n<>]*)>|([^\s<]\S*))(?:(?:[\t ]*\n[\t ]*|[\t ]+)(?:"([^"]*)"|'([^']*)'|\(([^()]*)\)))?\s+$/
+
+/**
+ * Turn a paragraph that is a definition followed by attributes on the same
+ * line (`[a]: /b "c" {.d}`) into that definition, with the attributes in
+ * `data.mdastAttributes`.
+ * Markdown does not allow anything after the title of a definition, so such
+ * a line is parsed as a paragraph, and references to it as text.
+ * Only plain labels, destinations, and titles are supported: no brackets in
+ * the label, and no quotes or parens in the title other than around it.
+ *
+ * @param {Paragraph} node
+ * @param {BlockState} state
+ * @returns {Definition | undefined}
+ */
+function paragraphToDefinition(node, state) {
+  const children = node.children
+  const tail = children[children.length - 1]
+  let value = ''
+
+  for (const child of children) {
+    if (child === tail && tail.type === 'mdastAttributes') break
+
+    if (child.type === 'text') {
+      value += child.value
+    } else if (child.type === 'link' && toString(child) === child.url) {
+      // A GFM autolink literal as the destination.
+      value += child.url
+    } else if (child.type === 'html') {
+      // A destination in angle brackets that looks like a tag.
+      value += child.value
+    } else {
+      return
+    }
+  }
+
+  let rest = value
+
+  if (tail.type === 'text') {
+    const source = textSource(tail)
+    const match = matchTrailingAttributes(source.value, source.literal)
+    if (!match) return
+    rest = value.slice(0, value.length - tail.value.length + match.start)
+  } else if (tail.type !== 'mdastAttributes') {
+    return
+  }
+
+  const result = definitionExpression.exec(rest)
+  const head = children[0]
+
+  if (
+    !result ||
+    !result[1].trim() ||
+    head.type !== 'text' ||
+    // Escaped or referenced brackets do not form a label.
+    textSource(head)
+      .literal.slice(0, result[1].length + 2)
+      .some(Boolean)
+  ) {
+    return
+  }
+
+  if (tail.type === 'text') processTrailingAttributes(node, state)
+
+  const attributes = node.children[node.children.length - 1]
+  if (attributes.type !== 'mdastAttributes') return
+
+  /** @type {Definition} */
+  const definition = {
+    type: 'definition',
+    identifier: normalizeIdentifier(result[1]).toLowerCase(),
+    label: result[1],
+    url: result[2] === undefined ? result[3] : result[2],
+    title: result[4] ?? result[5] ?? result[6] ?? null,
+    position: node.position
+  }
+
+  setDataAttributes(definition, attributes)
+
+  state.definitions.add(definition.identifier)
+  return definition
+}
+
+/**
+ * Turn text that references definitions made by `paragraphToDefinition`
+ * (`[a]`, `[a][]`, `[b][a]`, and the same with `!`) into references.
+ * Only references whose text is plain text are found.
+ *
+ * @param {Parents} parent
+ * @param {Set<string>} identifiers
+ */
+function resolveReferences(parent, identifiers) {
+  const children = /** @type {Array<Nodes>} */ (parent.children)
+  let index = -1
+
+  while (++index < children.length) {
+    const child = children[index]
+
+    if (child.type === 'text') {
+      const replacement = textToReferences(child, identifiers)
+      children.splice(index, 1, ...replacement)
+      index += replacement.length - 1
+    } else if (
+      'children' in child &&
+      child.type !== 'link' &&
+      child.type !== 'linkReference'
+    ) {
+      resolveReferences(child, identifiers)
+    }
+  }
+}
+
+/**
+ * @param {Text} node
+ * @param {Set<string>} identifiers
+ * @returns {Array<PhrasingContent>}
+ */
+function textToReferences(node, identifiers) {
+  const source = textSource(node)
+  const value = node.value
+  /** @type {Array<PhrasingContent>} */
+  const result = []
+  const expression = /(!?)\[([^[\]]+)\](?:\[([^[\]]*)\])?/g
+  let start = 0
+  /** @type {RegExpExecArray | null} */
+  let match
+
+  while ((match = expression.exec(value))) {
+    const end = match.index + match[0].length
+    const label = match[3] ? match[3] : match[2]
+    const identifier = normalizeIdentifier(label).toLowerCase()
+
+    if (
+      !identifiers.has(identifier) ||
+      source.literal
+        .slice(source.toSource[match.index], source.toSource[end])
+        .some(Boolean)
+    ) {
+      continue
+    }
+
+    if (match.index > start) {
+      result.push(textSlice(node, source, start, match.index))
+    }
+
+    /** @type {LinkReference['referenceType']} */
+    const referenceType =
+      match[3] === undefined ? 'shortcut' : match[3] ? 'full' : 'collapsed'
+    const from = pointInText(node, source.toSource[match.index])
+    const to = pointInText(node, source.toSource[end])
+    const position = from && to ? {start: from, end: to} : undefined
+
+    if (match[1]) {
+      result.push({
+        type: 'imageReference',
+        alt: match[2],
+        identifier,
+        label,
+        referenceType,
+        position
+      })
+    } else {
+      result.push({
+        type: 'linkReference',
+        children: [
+          textSlice(
+            node,
+            source,
+            match.index + 1,
+            match.index + 1 + match[2].length
+          )
+        ],
+        identifier,
+        label,
+        referenceType,
+        position
+      })
+    }
+
+    start = end
+  }
+
+  if (start === 0) return [node]
+  if (start < value.length) {
+    result.push(textSlice(node, source, start, value.length))
+  }
+
+  return result
+}
+
+/**
+ * @param {Text} node
+ * @param {Source} source
+ *   Source of `node`, to map `start` and `end` in its value to points.
+ * @param {number} start
+ * @param {number} end
+ * @returns {Text}
+ */
+function textSlice(node, source, start, end) {
+  const from = pointInText(node, source.toSource[start])
+  const to = pointInText(node, source.toSource[end])
+  /** @type {Text} */
+  const text = {type: 'text', value: node.value.slice(start, end)}
+  if (from && to) text.position = {start: from, end: to}
+  return text
+}
+
 /**
  * Process attributes on a blockquote.
  * @param {import('mdast').Blockquote} node
+ * @param {BlockState} state
  */
-function processBlockquoteAttributes(node) {
+function processBlockquoteAttributes(node, state) {
   if (!node.children) return
-  processBlockChildren(node.children, node)
+  processBlockChildren(node.children, node, state)
 }
 
 /**
  * Process attributes on a list.
  * @param {import('mdast').List} node
+ * @param {BlockState} state
  */
-function processListAttributes(node) {
+function processListAttributes(node, state) {
   if (!node.children) return
-  processBlockChildren(node.children, node)
+  processBlockChildren(node.children, node, state)
 }
 
 /**
  * Process attributes on a list item.
- * @param {import('mdast').ListItem} node
+ * Attributes at the start of the item (`* {.x} text`) target the item.
+ * Stores attributes in data.mdastAttributes since list items can't hold
+ * attribute nodes.
+ * @param {ListItem} node
+ * @param {BlockState} state
  */
-function processListItemAttributes(node) {
+function processListItemAttributes(node, state) {
   if (!node.children) return
-  processBlockChildren(node.children, node)
+
+  const head = node.children[0]
+
+  if (
+    state.blocks.has('listItem') &&
+    head &&
+    head.type === 'paragraph' &&
+    // Only when on the line of the marker.
+    (!head.position ||
+      !node.position ||
+      head.position.start.line === node.position.start.line)
+  ) {
+    const attrs = takeLeadingAttributes(head, state, 'listItem')
+
+    if (attrs) {
+      setDataAttributes(node, attrs)
+
+      if (head.children.length === 0) {
+        node.children.shift()
+      }
+    }
+  }
+
+  processBlockChildren(node.children, node, state)
+}
+
+/**
+ * Remove attributes from the start of a paragraph, along with the whitespace
+ * after them.
+ * @param {Paragraph | TableCell} node
+ * @param {BlockState} state
+ * @param {string} type
+ *   Type of the node the attributes are for.
+ * @param {boolean} [needsContent=false]
+ *   Whether the attributes must be followed by more content.
+ * @returns {MdastAttributes | undefined}
+ */
+function takeLeadingAttributes(node, state, type, needsContent) {
+  const children = /** @type {Array<Nodes>} */ (node.children)
+  const head = children[0]
+  /** @type {MdastAttributes | undefined} */
+  let attrs
+
+  if (head && head.type === 'mdastAttributes') {
+    const next = children[1]
+    if (
+      needsContent &&
+      (!next ||
+        (children.length === 2 && next.type === 'text' && !next.value.trim()))
+    ) {
+      return
+    }
+
+    if (next && !(next.type === 'text' && /^\s/.test(next.value))) return
+    attrs = /** @type {MdastAttributes} */ (head)
+    children.shift()
+
+    if (next) {
+      sliceTextStart(next, next.value.length - next.value.trimStart().length)
+    }
+  } else if (head && head.type === 'text') {
+    const source = textSource(head)
+    const result = parseAttributes(source.value, 0)
+
+    if (!result || result.list.length === 0) {
+      // Attributes that run to the end are reported as trailing attributes.
+      const end = result
+        ? result.end
+        : source.value.charCodeAt(0) === 123 /* `{` */
+          ? source.value.indexOf('}') + 1
+          : 0
+      if (end > 0 && source.value.slice(end).trim()) {
+        reportMalformedAttributes(state, head, 0, end, Boolean(result))
+      }
+
+      return
+    }
+
+    const rest = source.value.slice(result.end)
+    const size = source.value.length - rest.trimStart().length
+    if (rest && size === result.end) return
+    if (needsContent && size === source.value.length && children.length === 1) {
+      return
+    }
+
+    reportDuplicateAttributes(state, result.list, result.ranges, head)
+    attrs = {
+      type: 'mdastAttributes',
+      attributes: foldAttributes(
+        state,
+        sanitizeAttributes(state, result.list, type, result.ranges, head),
+        spanOf(result.ranges, head)
+      ),
+      value: source.value.slice(0, result.end)
+    }
+    sliceTextStart(head, source.toValue[size])
+  } else {
+    return
+  }
+
+  if (children[0] && children[0].type === 'text' && !children[0].value) {
+    children.shift()
+  }
+
+  return attrs
+}
+
+/**
+ * Store attributes, and their source, in `data` of a node that cannot contain
+ * attributes nodes.
+ * @param {Nodes} node
+ * @param {MdastAttributes} attributes
+ */
+function setDataAttributes(node, attributes) {
+  node.data = node.data || {}
+  node.data.mdastAttributes = attributes.attributes
+  node.data.mdastAttributesSource = attributes.value
+}
+
+/**
+ * Remove `size` characters from the start of a text node.
+ * @param {Text} node
+ * @param {number} size
+ */
+function sliceTextStart(node, size) {
+  const source = textSource(node)
+  const sourceSize = source.toSource[size]
+  const removed = source.value.slice(0, sourceSize)
+  const restSize = source.value.length - sourceSize
+  const list = literals.get(node)
+  node.value = node.value.slice(size)
+
+  if (list) {
+    literals.set(
+      node,
+      list
+        .filter(function (d) {
+          return d.start >= size
+        })
+        .map(function (d) {
+          return {start: d.start - size, end: d.end - size, source: d.source}
+        })
+    )
+  }
+
+  if (!node.position) return
+
+  const {start, end} = node.position
+  const lines = removed.split(/\r?\n|\r/)
+
+  if (lines.length === 1) {
+    node.position.start = {
+      line: start.line,
+      column: start.column + sourceSize,
+      offset: start.offset !== undefined ? start.offset + sourceSize : undefined
+    }
+  } else if (!/[\r\n]/.test(node.value)) {
+    // Rest is on the last line: count back from the end, which is exact even
+    // when container prefixes were stripped from the value.
+    node.position.start = {
+      line: end.line,
+      column: end.column - restSize,
+      offset: end.offset !== undefined ? end.offset - restSize : undefined
+    }
+  } else {
+    node.position.start = {
+      line: start.line + lines.length - 1,
+      column: lines[lines.length - 1].length + 1,
+      offset: start.offset !== undefined ? start.offset + sourceSize : undefined
+    }
+  }
+}
+
+/**
+ * Get the value of a text node as it is written, with the character escapes
+ * and references that the parser decoded.
+ *
+ * @param {Text} node
+ * @returns {Source}
+ */
+function textSource(node) {
+  return valueSource(node.value, literals.get(node))
+}
+
+/**
+ * Get the language and meta of code as they are written.
+ *
+ * @param {Code} node
+ * @returns {{lang: Source, meta: Source}}
+ */
+function infoSource(node) {
+  const info = infoLiterals.get(node) || {}
+  return {
+    lang: valueSource(node.lang || '', info.lang),
+    meta: valueSource(node.meta || '', info.meta)
+  }
+}
+
+/**
+ * @param {string} value
+ * @param {Array<Literal> | undefined} list
+ * @returns {Source}
+ */
+function valueSource(value, list) {
+  /** @type {Source} */
+  const source = {value: '', literal: [], toValue: [], toSource: []}
+  let index = 0
+
+  for (const item of list || []) {
+    if (item.start < index || item.end > value.length) continue
+    plain(item.start)
+    const sourceStart = source.value.length
+
+    while (index < item.end) {
+      source.toSource.push(sourceStart)
+      index++
+    }
+
+    for (const character of item.source) {
+      source.value += character
+      source.literal.push(true)
+      source.toValue.push(item.start)
+    }
+  }
+
+  plain(value.length)
+  source.toValue.push(index)
+  source.toSource.push(source.value.length)
+  return source
+
+  /**
+   * @param {number} end
+   */
+  function plain(end) {
+    while (index < end) {
+      source.toSource.push(source.value.length)
+      source.toValue.push(index)
+      source.literal.push(false)
+      source.value += value.charAt(index)
+      index++
+    }
+  }
 }
 
 /**
  * Process attributes on a table.
- * @param {import('mdast').Table} node
+ * Attributes at the start of the first cell of a row (`| {.x} a |`) target
+ * the row and are stored in data.mdastAttributes since rows can't hold
+ * attribute nodes; trailing attributes in a cell (`| a {.x} |`) target the
+ * cell.
+ * Attributes of the table itself go on the line before it, like other blocks.
+ * @param {Table} node
+ * @param {BlockState} state
  */
-function processTableAttributes(node) {
+function processTableAttributes(node, state) {
   if (!node.children) return
   for (const row of node.children) {
-    if (row.children) {
-      for (const cell of row.children) {
-        if (cell.children) {
-          processBlockChildren(cell.children, cell)
-        }
+    if (!row.children) continue
+
+    const head = row.children[0]
+
+    if (state.blocks.has('tableRow') && head) {
+      const attrs = takeLeadingAttributes(head, state, 'tableRow', true)
+      if (attrs) setDataAttributes(row, attrs)
+    }
+
+    for (const cell of row.children) {
+      reportInlineAttributes(cell, state, state.blocks.has('tableCell'))
+
+      if (state.blocks.has('tableCell')) {
+        processTrailingAttributes(cell, state)
+      } else {
+        restoreTrailingAttributes(cell)
       }
     }
   }
 }
 
 /**
- * Process trailing attributes on a heading.
- * @param {Heading} node
+ * Process trailing attributes on a heading, paragraph, or table cell.
+ * The text is matched as written, so that escaped braces (`\{`) and
+ * character references (`&#123;`) are not taken as attributes, and positions
+ * are those in the source.
+ * @param {Heading | Paragraph | TableCell} node
+ * @param {BlockState} state
  */
-function processHeadingAttributes(node) {
+function processTrailingAttributes(node, state) {
   if (!node.children || node.children.length === 0) return
 
   const lastIndex = node.children.length - 1
   const lastChild = node.children[lastIndex]
   if (lastChild.type !== 'text') return
 
-  const match = lastChild.value.match(trailingAttributesRegex)
-  if (!match) return
+  const source = textSource(lastChild)
+  const match = matchTrailingAttributes(source.value, source.literal)
+
+  if (!match) {
+    reportMalformedTrailingAttributes(state, lastChild)
+    return
+  }
 
-  const [fullMatch, leadingSpace, attrContent, trailingSpace] = match
-  const attrs = parseAttributeString(attrContent)
-  if (!attrs || Object.keys(attrs).length === 0) return
+  reportDuplicateAttributes(state, match.list, match.ranges, lastChild)
 
-  const textValue = lastChild.value
-  const attrStartIndex = textValue.length - fullMatch.length + leadingSpace.length
-  const textEndIndex = textValue.length - fullMatch.length
+  const attrs = foldAttributes(
+    state,
+    sanitizeAttributes(state, match.list, node.type, match.ranges, lastChild),
+    spanOf(match.ranges, lastChild)
+  )
+  const {leadingSpace, start: attrStartIndex} = match
+  const textEndIndex = attrStartIndex - leadingSpace.length
 
   // Extract the source value (the {…} part)
-  const sourceValue = textValue.slice(attrStartIndex)
+  const sourceValue = source.value.slice(attrStartIndex)
 
   /** @type {MdastAttributes} */
   const attrNode = {
@@ -239,21 +1027,9 @@ function processHeadingAttributes(node) {
 
   if (lastChild.position) {
     const pos = lastChild.position
-    const textBefore = textValue.slice(0, attrStartIndex)
-    const linesInText = textBefore.split('\n')
-    const lastLine = linesInText[linesInText.length - 1]
-
-    const attrStartLine = pos.start.line + linesInText.length - 1
-    const attrStartColumn = linesInText.length === 1
-      ? pos.start.column + textBefore.length
-      : lastLine.length + 1
 
     attrNode.position = {
-      start: {
-        line: attrStartLine,
-        column: attrStartColumn,
-        offset: pos.start.offset !== undefined ? pos.start.offset + attrStartIndex : undefined
-      },
+      start: /** @type {Point} */ (pointInText(lastChild, attrStartIndex)),
       end: {
         line: pos.end.line,
         column: pos.end.column,
@@ -263,17 +1039,11 @@ function processHeadingAttributes(node) {
 
     lastChild.position = {
       start: pos.start,
-      end: {
-        line: attrStartLine,
-        column: linesInText.length === 1
-          ? pos.start.column + textEndIndex
-          : lastLine.length + 1 - leadingSpace.length,
-        offset: pos.start.offset !== undefined ? pos.start.offset + textEndIndex : undefined
-      }
+      end: /** @type {Point} */ (pointInText(lastChild, textEndIndex))
     }
   }
 
-  const textBeforeAttrs = textValue.slice(0, textEndIndex)
+  const textBeforeAttrs = lastChild.value.slice(0, source.toValue[textEndIndex])
 
   if (textBeforeAttrs === '') {
     if (leadingSpace.length > 0) {
@@ -303,184 +1073,631 @@ function processHeadingAttributes(node) {
 }
 
 /**
- * Process trailing attributes on a paragraph.
- * @param {Paragraph} node
+ * Process attributes on a code block.
+ * Stores attributes in data.mdastAttributes since code blocks don't have children.
+ * @param {Code} node
+ * @param {BlockState} state
  */
-function processParagraphAttributes(node) {
-  if (!node.children || node.children.length === 0) return
+function processCodeAttributes(node, state) {
+  /** @type {Array<[key: string, value: string | true]> | undefined} */
+  let list
+  let value = ''
 
-  const lastIndex = node.children.length - 1
-  const lastChild = node.children[lastIndex]
-  if (lastChild.type !== 'text') return
-
-  const match = lastChild.value.match(trailingAttributesRegex)
-  if (!match) return
+  if (state.onDiagnostic) {
+    reportCodeAttributes(node, state)
+  }
 
-  const [fullMatch, leadingSpace, attrContent, trailingSpace] = match
-  const attrs = parseAttributeString(attrContent)
-  if (!attrs || Object.keys(attrs).length === 0) return
+  // Braces that were escaped (`\{`) or referenced (`&#123;`) are not
+  // attributes.
+  const {lang, meta} = infoSource(node)
 
-  const textValue = lastChild.value
-  const attrStartIndex = textValue.length - fullMatch.length + leadingSpace.length
-  const textEndIndex = textValue.length - fullMatch.length
+  // Case: attributes span both lang and meta
+  if (
+    lang.value.startsWith('{') &&
+    !lang.literal[0] &&
+    meta.value.endsWith('}') &&
+    !meta.literal[meta.value.length - 1]
+  ) {
+    value = lang.value + ' ' + meta.value
+    list = parseAttributeString(value)
+    if (list) {
+      node.lang = null
+      node.meta = null
+    }
+  }
 
-  // Extract the source value (the {…} part)
-  const sourceValue = textValue.slice(attrStartIndex)
+  // Check meta for attributes
+  if (!list && node.meta) {
+    const match = matchTrailingAttributes(meta.value, meta.literal)
+    if (match) {
+      list = match.list
+      value = meta.value.slice(match.start).trimEnd()
+      node.meta = node.meta.slice(0, meta.toValue[match.start]).trim() || null
+    }
+  }
 
-  /** @type {MdastAttributes} */
-  const attrNode = {
-    type: 'mdastAttributes',
-    attributes: attrs,
-    value: sourceValue
+  // Check lang for attributes
+  if (!list && node.lang) {
+    const match = matchTrailingAttributes(lang.value, lang.literal)
+    if (match) {
+      list = match.list
+      value = lang.value.slice(match.start)
+      node.lang = node.lang.slice(0, lang.toValue[match.start]) || null
+    }
   }
 
-  if (lastChild.position) {
-    const pos = lastChild.position
-    const textBefore = textValue.slice(0, attrStartIndex)
-    const linesInText = textBefore.split('\n')
-    const lastLine = linesInText[linesInText.length - 1]
+  if (!list) return
 
-    const attrStartLine = pos.start.line + linesInText.length - 1
-    const attrStartColumn = linesInText.length === 1
-      ? pos.start.column + textBefore.length
-      : lastLine.length + 1
+  const places = list.map(function () {
+    return node.position
+  })
+  const attrs = foldAttributes(
+    state,
+    sanitizeAttributes(state, list, 'code', places),
+    node.position
+  )
 
-    attrNode.position = {
-      start: {
-        line: attrStartLine,
-        column: attrStartColumn,
-        offset: pos.start.offset !== undefined ? pos.start.offset + attrStartIndex : undefined
-      },
-      end: {
-        line: pos.end.line,
-        column: pos.end.column,
-        offset: pos.end.offset
-      }
-    }
+  // Store attributes in data for transform to handle
+  if (Object.keys(attrs).length > 0) {
+    setDataAttributes(node, {type: 'mdastAttributes', attributes: attrs, value})
+  }
+}
 
-    lastChild.position = {
-      start: pos.start,
-      end: {
-        line: attrStartLine,
-        column: linesInText.length === 1
-          ? pos.start.column + textEndIndex
-          : lastLine.length + 1 - leadingSpace.length,
-        offset: pos.start.offset !== undefined ? pos.start.offset + textEndIndex : undefined
-      }
-    }
+/**
+ * Parse an attribute string like `{#id .class key=value}`.
+ * @param {string} value
+ * @returns {Array<[key: string, value: string | true]> | undefined}
+ *   Attributes in source order, if `value` is exactly valid, non-empty,
+ *   attributes.
+ */
+function parseAttributeString(value) {
+  const result = parseAttributes(value, 0)
+
+  if (result && result.end === value.length && result.list.length > 0) {
+    return result.list
   }
+}
 
-  const textBeforeAttrs = textValue.slice(0, textEndIndex)
+/**
+ * @typedef TrailingAttributes
+ *   Attributes at the end of a value.
+ * @property {string} leadingSpace
+ *   Whitespace before the attributes.
+ * @property {Array<[key: string, value: string | true]>} list
+ *   Attributes in source order.
+ * @property {Array<[start: number, end: number]>} ranges
+ *   Indices in the value of each attribute in `list`.
+ * @property {number} start
+ *   Index of `{` in the value.
+ */
 
-  if (textBeforeAttrs === '') {
-    if (leadingSpace.length > 0) {
-      // Preserve leading whitespace as a text node
-      lastChild.value = leadingSpace
-      // Update position to cover just the whitespace
-      if (lastChild.position) {
-        const pos = lastChild.position
-        lastChild.position = {
-          start: pos.start,
-          end: {
-            line: pos.start.line,
-            column: pos.start.column + leadingSpace.length,
-            offset: pos.start.offset !== undefined ? pos.start.offset + leadingSpace.length : undefined
-          }
-        }
+/**
+ * Find attributes at the end of `value`, only followed by whitespace.
+ * The first `{` that starts valid, non-empty, attributes that run to the end
+ * is used, so that braces in quoted values do not start attributes.
+ *
+ * @param {string} value
+ * @param {ReadonlyArray<boolean> | undefined} [literal]
+ *   Whether each character of `value` is part of a character escape or
+ *   reference, and so cannot start attributes.
+ * @returns {TrailingAttributes | undefined}
+ *   Attributes, if found.
+ */
+function matchTrailingAttributes(value, literal) {
+  let start = value.indexOf('{')
+
+  while (start !== -1) {
+    const result = literal && literal[start] ? undefined : parseAttributes(value, start)
+
+    if (
+      result &&
+      result.list.length > 0 &&
+      value.slice(result.end).trim() === ''
+    ) {
+      const before = value.slice(0, start)
+      return {
+        leadingSpace: before.slice(before.trimEnd().length),
+        list: result.list,
+        ranges: result.ranges,
+        start
       }
-      node.children.push(attrNode)
-    } else {
-      // No text at all, replace with attrs
-      node.children.splice(lastIndex, 1, attrNode)
     }
-  } else {
-    lastChild.value = textBeforeAttrs
-    node.children.push(attrNode)
+
+    start = value.indexOf('{', start + 1)
   }
 }
 
+// =============================================================================
+// Diagnostics (reports malformed or suspicious attributes)
+// =============================================================================
+
 /**
- * Process attributes on a code block.
- * Stores attributes in data.mdastAttributes since code blocks don't have children.
+ * Report attributes in a code info string.
+ * The info string has no position of its own, so the code is used.
+ *
  * @param {Code} node
+ * @param {BlockState} state
  */
-function processCodeAttributes(node) {
-  /** @type {Record<string, string> | null} */
-  let attrs = null
+function reportCodeAttributes(node, state) {
+  const {lang, meta} = infoSource(node)
+  const parts = [lang, meta].filter(function (d) {
+    return d.value
+  })
+  const info = parts
+    .map(function (d) {
+      return d.value
+    })
+    .join(' ')
+  /** @type {Array<boolean>} */
+  const literal = []
 
-  // Case: attributes span both lang and meta
-  if (node.lang && node.lang.startsWith('{') && node.meta && node.meta.endsWith('}')) {
-    const fullAttrStr = node.lang.slice(1) + ' ' + node.meta.slice(0, -1)
-    attrs = parseAttributeString(fullAttrStr)
-    if (attrs && Object.keys(attrs).length > 0) {
-      node.lang = null
-      node.meta = null
+  for (const part of parts) {
+    if (literal.length > 0) literal.push(false)
+    literal.push(...part.literal)
+  }
+
+  const match = matchTrailingAttributes(info, literal)
+
+  if (match) {
+    const places = match.list.map(function () {
+      return node.position
+    })
+    reportDuplicateAttributes(state, match.list, places)
+    return
+  }
+
+  const range = findMalformedTrailingAttributes(info, literal)
+
+  if (range) {
+    const result = parseAttributes(info, range[0])
+    reportMalformed(
+      state,
+      info.slice(range[0], range[1]),
+      Boolean(result && result.end === range[1]),
+      node.position
+    )
+  }
+}
+
+/**
+ * Report text at the end of a block that looks like attributes (`{` to a
+ * final `}`) but is not.
+ *
+ * @param {BlockState} state
+ * @param {Text} node
+ */
+function reportMalformedTrailingAttributes(state, node) {
+  if (!state.onDiagnostic) return
+
+  const source = textSource(node)
+  const range = findMalformedTrailingAttributes(source.value, source.literal)
+
+  if (range) {
+    const result = parseAttributes(source.value, range[0])
+    reportMalformedAttributes(
+      state,
+      node,
+      range[0],
+      range[1],
+      Boolean(result && result.end === range[1])
+    )
+  }
+}
+
+/**
+ * Find where attributes that are not valid at the end of `value` would be:
+ * from the last `{` at the start or after whitespace (or, when there is
+ * none, the last `{`), to a final `}`.
+ * Braces that are part of a character escape or reference are skipped.
+ *
+ * @param {string} value
+ * @param {ReadonlyArray<boolean> | undefined} [literal]
+ *   Whether each character of `value` is part of a character escape or
+ *   reference.
+ * @returns {[start: number, end: number] | undefined}
+ */
+function findMalformedTrailingAttributes(value, literal) {
+  const end = value.trimEnd().length
+  if (value.charCodeAt(end - 1) !== 125 /* `}` */) return
+  if (literal && literal[end - 1]) return
+
+  let start = previousBrace(end)
+  const last = start
+
+  while (start > 0 && !/\s/.test(value.charAt(start - 1))) {
+    start = previousBrace(start - 1)
+  }
+
+  if (start === -1) start = last
+  if (start === -1) return
+  return [start, end]
+
+  /**
+   * @param {number} from
+   * @returns {number}
+   */
+  function previousBrace(from) {
+    let index = value.lastIndexOf('{', from)
+    while (index !== -1 && literal && literal[index]) {
+      index = index > 0 ? value.lastIndexOf('{', index - 1) : -1
     }
+
+    return index
   }
+}
 
-  // Check meta for attributes
-  if (!attrs && node.meta) {
-    const match = node.meta.match(trailingAttributesRegex)
-    if (match) {
-      attrs = parseAttributeString(match[2])
-      if (attrs && Object.keys(attrs).length > 0) {
-        node.meta = node.meta.slice(0, -match[0].length).trim() || null
+/**
+ * Report text directly after an inline node that looks like attributes
+ * (`*a*{b=}`) but is not.
+ * Attributes that end the block are left to the trailing attributes check
+ * when `skipLast` is set.
+ *
+ * @param {Parents} node
+ * @param {BlockState} state
+ * @param {boolean} skipLast
+ */
+function reportInlineAttributes(node, state, skipLast) {
+  if (!state.onDiagnostic || !('children' in node)) return
+
+  const children = /** @type {Array<Nodes>} */ (node.children)
+  let index = -1
+
+  while (++index < children.length) {
+    const child = children[index]
+    const previous = children[index - 1]
+
+    if (
+      child.type === 'text' &&
+      previous &&
+      previous.type !== 'break' &&
+      previous.type !== 'html' &&
+      previous.type !== 'mdastAttributes' &&
+      previous.type !== 'text'
+    ) {
+      const value = textSource(child).value
+      const end = value.charCodeAt(0) === 123 /* `{` */ ? value.indexOf('}') + 1 : 0
+
+      if (
+        end > 0 &&
+        !(
+          skipLast &&
+          index === children.length - 1 &&
+          !value.slice(end).trim()
+        ) &&
+        !parseAttributes(value, 0)
+      ) {
+        reportMalformedAttributes(state, child, 0, end, false)
       }
     }
+
+    if ('children' in child) {
+      reportInlineAttributes(child, state, false)
+    }
   }
+}
 
-  // Check lang for attributes
-  if (!attrs && node.lang) {
-    const fullMatch = node.lang.match(/^\{([^}]+)\}$/)
-    if (fullMatch) {
-      attrs = parseAttributeString(fullMatch[1])
-      if (attrs && Object.keys(attrs).length > 0) {
-        node.lang = null
-      }
+/**
+ * Report empty or unparseable attributes in a text node.
+ *
+ * @param {BlockState} state
+ * @param {Text} node
+ * @param {number} start
+ *   Index of `{` in the source of `node`.
+ * @param {number} end
+ *   Index after `}` in the source of `node`.
+ * @param {boolean} empty
+ *   Whether the attributes are valid but empty.
+ */
+function reportMalformedAttributes(state, node, start, end, empty) {
+  const from = pointInText(node, start)
+  const to = pointInText(node, end)
+  reportMalformed(
+    state,
+    textSource(node).value.slice(start, end),
+    empty,
+    from && to ? {start: from, end: to} : undefined
+  )
+}
+
+/**
+ * @param {BlockState} state
+ * @param {string} value
+ *   Source of the attributes.
+ * @param {boolean} empty
+ *   Whether the attributes are valid but empty.
+ * @param {Position | undefined} place
+ */
+function reportMalformed(state, value, empty, place) {
+  if (empty) {
+    report(
+      state,
+      'Unexpected empty attributes `' + value + '`, expected at least one attribute',
+      place,
+      'empty-attributes'
+    )
+  } else {
+    report(
+      state,
+      'Cannot parse attributes `' + value + '`, expected `{#id .class key="value"}`',
+      place,
+      'unparseable-attributes'
+    )
+  }
+}
+
+/**
+ * Report ids and other attributes (but not classes) that are given more
+ * than once in one attributes block.
+ *
+ * @param {BlockState} state
+ * @param {ReadonlyArray<readonly [key: string, value: string | true]>} list
+ * @param {Places} places
+ * @param {Text | undefined} [node]
+ *   Text node the ranges are in.
+ */
+function reportDuplicateAttributes(state, list, places, node) {
+  if (!state.onDiagnostic) return
+
+  /** @type {Map<string, string | true>} */
+  const seen = new Map()
+  let index = -1
+
+  while (++index < list.length) {
+    const [key, value] = list[index]
+    if (key === 'class') continue
+
+    const first = seen.get(key)
+
+    if (first === undefined) {
+      seen.set(key, value)
+      continue
+    }
+
+    const position = placeOf(places, index, node)
+
+    if (key === 'id') {
+      report(
+        state,
+        'Unexpected second id `' + value + '`, expected one id per attributes (first was `' + first + '`)',
+        position,
+        'duplicate-id'
+      )
     } else {
-      const match = node.lang.match(trailingAttributesRegex)
-      if (match) {
-        attrs = parseAttributeString(match[2])
-        if (attrs && Object.keys(attrs).length > 0) {
-          node.lang = node.lang.slice(0, -match[0].length).trim() || null
-        }
-      }
+      report(
+        state,
+        'Unexpected duplicate attribute `' + key + '`, expected each attribute once',
+        position,
+        'duplicate-attribute'
+      )
     }
   }
+}
 
-  // Store attributes in data for transform to handle
-  if (attrs && Object.keys(attrs).length > 0) {
-    node.data = node.data || {}
-    node.data.mdastAttributes = attrs
+/**
+ * Remove attributes that are not allowed by the policy, and report them.
+ *
+ * @param {BlockState} state
+ * @param {Array<[key: string, value: string | true]>} list
+ * @param {string} type
+ *   Type of the node the attributes are for.
+ * @param {Places} places
+ * @param {Text | undefined} [node]
+ *   Text node the ranges are in.
+ * @returns {Array<[key: string, value: string | true]>}
+ *   Allowed attributes.
+ */
+function sanitizeAttributes(state, list, type, places, node) {
+  if (!state.policy) return list
+
+  const result = applyPolicy(list, type, state.policy)
+
+  for (const rejection of result.rejections) {
+    report(
+      state,
+      rejectionReason(rejection, type),
+      placeOf(places, rejection.index, node),
+      'disallowed-' + rejection.reason
+    )
   }
+
+  return result.list
 }
 
 /**
- * Parse an attribute string like "#id .class key=value"
- * @param {string} str
- * @returns {Record<string, string>}
+ * @param {Places} places
+ * @param {number} index
+ * @param {Text | undefined} node
+ *   Text node the ranges are in.
+ * @returns {Position | undefined}
  */
-function parseAttributeString(str) {
-  /** @type {Record<string, string>} */
-  const attrs = {}
+function placeOf(places, index, node) {
+  const place = places[index]
 
-  let match
-  attributeRegex.lastIndex = 0
+  if (Array.isArray(place)) {
+    const from = node ? pointInText(node, place[0]) : undefined
+    const to = node ? pointInText(node, place[1]) : undefined
+    return from && to ? {start: from, end: to} : undefined
+  }
 
-  while ((match = attributeRegex.exec(str)) !== null) {
-    const [, id, cls, name, quotedDouble, quotedSingle, unquoted] = match
+  return /** @type {Position | undefined} */ (place)
+}
 
-    if (id) {
-      attrs.id = id
-    } else if (cls) {
-      attrs.class = attrs.class ? attrs.class + ' ' + cls : cls
-    } else if (name) {
-      const value = quotedDouble ?? quotedSingle ?? unquoted ?? ''
-      attrs[name] = parseEntities(value, {attribute: true})
+/**
+ * Fold a list of attributes of one block into a record, combining values of
+ * an attribute given twice with the merge strategies.
+ *
+ * @param {BlockState} state
+ * @param {ReadonlyArray<readonly [key: string, value: string | true]>} list
+ * @param {Position | undefined} place
+ *   Place of the attributes.
+ * @returns {Attributes}
+ */
+function foldAttributes(state, list, place) {
+  return listToAttributes(list, state.booleans, state.merge, place)
+}
+
+/**
+ * Get the place from the first to the last attribute in a list.
+ *
+ * @param {Places} places
+ * @param {Text | undefined} [node]
+ *   Text node the ranges are in.
+ * @returns {Position | undefined}
+ */
+function spanOf(places, node) {
+  const first = placeOf(places, 0, node)
+  const last = placeOf(places, places.length - 1, node)
+  return first && last ? {start: first.start, end: last.end} : undefined
+}
+
+/**
+ * @param {BlockState} state
+ * @param {string} reason
+ * @param {Position | undefined} place
+ * @param {string} ruleId
+ */
+function report(state, reason, place, ruleId) {
+  if (!state.onDiagnostic) return
+
+  state.onDiagnostic(
+    new VFileMessage(reason, {place, ruleId, source: 'mdast-util-attributes'})
+  )
+}
+
+/**
+ * Get the point of `index` in the source of a text node.
+ *
+ * @param {Text} node
+ * @param {number} index
+ * @returns {Point | undefined}
+ */
+function pointInText(node, index) {
+  if (!node.position) return
+
+  const {start, end} = node.position
+  const value = textSource(node).value
+  const after = value.slice(index)
+
+  // On the last line: count back from the end, which is exact even when
+  // container prefixes were stripped from the value.
+  if (!/[\r\n]/.test(after)) {
+    return {
+      line: end.line,
+      column: end.column - after.length,
+      offset: end.offset !== undefined ? end.offset - after.length : undefined
     }
   }
 
-  return attrs
+  const before = value.slice(0, index)
+  const lines = before.split(/\r?\n|\r/)
+
+  return {
+    line: start.line + lines.length - 1,
+    column:
+      lines.length === 1
+        ? start.column + before.length
+        : lines[lines.length - 1].length + 1,
+    offset: start.offset !== undefined ? start.offset + index : undefined
+  }
+}
+
+// =============================================================================
+// fromMarkdown handlers for escapes and references (tracks decoded text)
+// =============================================================================
+
+/**
+ * @this {CompileContext}
+ * @param {Token} token
+ */
+function exitCharacterEscape(token) {
+  // The text node was already exited, and is the last child.
+  const tail = lastText(this)
+
+  if (tail) {
+    addLiteral(tail, tail.value.length - 1, this.sliceSerialize(token))
+    addInfoLiterals(this, tail)
+  }
+}
+
+/**
+ * The markers of a character reference are its `&` and its `;`.
+ *
+ * @this {CompileContext}
+ * @param {Token} token
+ */
+function exitCharacterReferenceMarker(token) {
+  const tail = this.stack[this.stack.length - 1]
+
+  if (this.sliceSerialize(token) === '&') {
+    this.data.attributesReference =
+      tail && tail.type === 'text'
+        ? {node: tail, index: tail.value.length, start: token.start}
+        : undefined
+    return
+  }
+
+  const reference = this.data.attributesReference
+  this.data.attributesReference = undefined
+
+  if (reference && reference.node === tail) {
+    addLiteral(
+      reference.node,
+      reference.index,
+      this.sliceSerialize({start: reference.start, end: token.end})
+    )
+    addInfoLiterals(this, reference.node)
+  }
+}
+
+/**
+ * @param {CompileContext} context
+ * @returns {Text | undefined}
+ */
+function lastText(context) {
+  const parent = context.stack[context.stack.length - 1]
+  const children = parent && 'children' in parent ? parent.children : []
+  const tail = children[children.length - 1]
+  return tail && tail.type === 'text' ? tail : undefined
+}
+
+/**
+ * The language and meta of code are buffered as text, which is then turned
+ * into a string: keep its escapes and references with the code.
+ *
+ * @param {CompileContext} context
+ * @param {Text} node
+ */
+function addInfoLiterals(context, node) {
+  const stack = context.stack
+  let index = stack.length - 1
+  if (stack[index] === node) index--
+  const fragment = /** @type {{type: string}} */ (stack[index])
+  const code = stack[index - 1]
+
+  if (fragment.type !== 'fragment' || !code || code.type !== 'code') return
+
+  const info = infoLiterals.get(code) || {}
+  // The language is set when its text ends, before the meta starts.
+  info[typeof code.lang === 'string' ? 'meta' : 'lang'] = literals.get(node)
+  infoLiterals.set(code, info)
+}
+
+/**
+ * @param {Text} node
+ * @param {number} start
+ *   Index in the value of the decoded characters, which run to its end.
+ * @param {string} source
+ *   Escape or reference as written.
+ */
+function addLiteral(node, start, source) {
+  let list = literals.get(node)
+
+  if (!list) {
+    list = []
+    literals.set(node, list)
+  }
+
+  list.push({start, end: node.value.length, source})
 }
 
 // =============================================================================
@@ -493,6 +1710,8 @@ function parseAttributeString(str) {
  */
 function enterAttributes(token) {
   this.data.attributesList = []
+  this.data.attributesPlaces = []
+  this.data.attributeNameStart = undefined
   this.data.attributeName = undefined
   this.data.attributeValue = undefined
   this.data.attributesToken = token
@@ -507,6 +1726,7 @@ function exitAttributeIdValue(token) {
   const value = parseEntities(this.sliceSerialize(token), {attribute: true})
   list.push(['id', value])
   this.data.attributesList = list
+  addShortcutPlace(this, token)
 }
 
 /**
@@ -518,6 +1738,38 @@ function exitAttributeClassValue(token) {
   const value = parseEntities(this.sliceSerialize(token), {attribute: true})
   list.push(['class', value])
   this.data.attributesList = list
+  addShortcutPlace(this, token)
+}
+
+/**
+ * Track where an id or class is, including its `#` or `.`.
+ *
+ * @param {CompileContext} context
+ * @param {Token} token
+ */
+function addShortcutPlace(context, token) {
+  const start = token.start
+  addPlace(context, {
+    line: start.line,
+    column: start.column - 1,
+    offset: start.offset - 1
+  }, token.end)
+}
+
+/**
+ * Track where an attribute is.
+ *
+ * @param {CompileContext} context
+ * @param {Point} start
+ * @param {Point} end
+ */
+function addPlace(context, start, end) {
+  const places = context.data.attributesPlaces || []
+  places.push({
+    start: {line: start.line, column: start.column, offset: start.offset},
+    end: {line: end.line, column: end.column, offset: end.offset}
+  })
+  context.data.attributesPlaces = places
 }
 
 /**
@@ -526,6 +1778,8 @@ function exitAttributeClassValue(token) {
  */
 function exitAttributeName(token) {
   this.data.attributeName = this.sliceSerialize(token)
+  this.data.attributeNameStart = token.start
+  this.data.attributeNameEnd = token.end
 }
 
 /**
@@ -550,6 +1804,7 @@ function exitAttributeValue(token) {
   if (name) {
     const parsedValue = parseEntities(value, {attribute: true})
     list.push([name, parsedValue])
+    addPlace(this, this.data.attributeNameStart || token.start, token.end)
   }
 
   this.data.attributesList = list
@@ -568,7 +1823,12 @@ function exitAttribute(token) {
 
   // If there's a pending name without a value, it's a boolean attribute
   if (name) {
-    list.push([name, ''])
+    list.push([name, true])
+    addPlace(
+      this,
+      this.data.attributeNameStart || token.start,
+      this.data.attributeNameEnd || token.end
+    )
     this.data.attributesList = list
     this.data.attributeName = undefined
   }
@@ -577,30 +1837,41 @@ function exitAttribute(token) {
 /**
  * @this {CompileContext}
  * @param {Token} token
+ * @param {BlockState} state
  */
-function exitAttributes(token) {
+function exitAttributes(token, state) {
   const list = this.data.attributesList || []
+  const places = this.data.attributesPlaces || []
   const startToken = this.data.attributesToken
 
   this.data.attributesList = undefined
+  this.data.attributesPlaces = undefined
+  this.data.attributeNameStart = undefined
+  this.data.attributeNameEnd = undefined
   this.data.attributesToken = undefined
 
   // Get the source text for the entire attributes block
   const sourceValue = this.sliceSerialize(token)
 
   if (list.length === 0) {
+    reportMalformed(state, sourceValue, true, {
+      start: {
+        line: token.start.line,
+        column: token.start.column,
+        offset: token.start.offset
+      },
+      end: {line: token.end.line, column: token.end.column, offset: token.end.offset}
+    })
     return
   }
 
-  /** @type {Record<string, string>} */
-  const attributes = {}
-  for (const [key, value] of list) {
-    if (key === 'class' && attributes.class) {
-      attributes.class += ' ' + value
-    } else {
-      attributes[key] = value
-    }
-  }
+  reportDuplicateAttributes(state, list, places)
+
+  const attributes = foldAttributes(
+    state,
+    sanitizeAttributes(state, list, attributesTarget(this, token), places),
+    spanOf(places)
+  )
 
   // Create an mdastAttributes node with source value for text conversion
   /** @type {MdastAttributes} */
@@ -637,29 +1908,500 @@ function exitAttributes(token) {
   parent.children.push(attrNode)
 }
 
+/**
+ * Get the type of the node that attributes being parsed are for, to apply
+ * the policy: the inline node directly before them, the list item or table
+ * row they start, or otherwise the block they are in.
+ *
+ * @param {CompileContext} context
+ * @param {Token} token
+ * @returns {string}
+ */
+function attributesTarget(context, token) {
+  const stack = context.stack
+  const parent = stack[stack.length - 1]
+  const grandparent = stack[stack.length - 2]
+  const children = 'children' in parent ? parent.children : []
+  const previous = children[children.length - 1]
+
+  if (
+    previous &&
+    previous.type !== 'text' &&
+    previous.type !== 'mdastAttributes' &&
+    previous.position &&
+    previous.position.end.offset === token.start.offset
+  ) {
+    return previous.type
+  }
+
+  if (
+    children.length === 0 &&
+    grandparent &&
+    'children' in grandparent &&
+    grandparent.children[0] === parent &&
+    ((parent.type === 'paragraph' && grandparent.type === 'listItem') ||
+      (parent.type === 'tableCell' && grandparent.type === 'tableRow'))
+  ) {
+    return grandparent.type
+  }
+
+  return parent.type
+}
+
 // =============================================================================
 // toMarkdown
 // =============================================================================
 
+/**
+ * @typedef ToMarkdownOptions
+ *   Configuration for `attributesToMarkdown` (optional).
+ * @property {AttributesStyle | null | undefined} [attributes]
+ *   How to write attributes (optional).
+ * @property {ReadonlyArray<ToMarkdownExtension> | null | undefined} [extensions]
+ *   Extensions whose handlers to add attributes to, such as those of
+ *   `mdast-util-gfm` (optional); tables, strikethrough, and footnote
+ *   references only get attributes when their handlers are given here or in
+ *   `handlers`.
+ * @property {Partial<Handlers> | null | undefined} [handlers]
+ *   Handlers to add attributes to, instead of those of
+ *   `mdast-util-to-markdown` and `extensions` (optional); use this to
+ *   compose with extensions that replace them.
+ *
+ * @typedef AttributesStyle
+ *   How to write attributes.
+ * @property {'id-class' | 'sort' | 'source' | null | undefined} [order='id-class']
+ *   Order of attributes: `'id-class'` writes the id, then classes, then
+ *   other attributes in the order of the object; `'sort'` sorts them by
+ *   name; `'source'` uses the order of the source of `mdastAttributes`
+ *   nodes, and otherwise the order of the object (default: `'id-class'`).
+ * @property {'"' | "'" | null | undefined} [quote='"']
+ *   Quote to use around values (default: `'"'`).
+ * @property {boolean | null | undefined} [unquoted=false]
+ *   Whether to leave values unquoted when that is possible (`a=b`)
+ *   (default: `false`).
+ * @property {boolean | null | undefined} [shortcuts=true]
+ *   Whether to write ids and classes as `#id` and `.class`, when possible,
+ *   instead of `id="id"` and `class="class"` (default: `true`).
+ * @property {boolean | null | undefined} [lossless=false]
+ *   Whether to write the source of attributes as it is (the `value` of
+ *   `mdastAttributes` nodes, or `data.mdastAttributesSource`), when the
+ *   attributes are still what it parses to; the other fields apply when the
+ *   attributes were changed (default: `false`).
+ *
+ * @typedef WithAttributesOptions
+ *   Configuration for `withAttributes` (optional).
+ * @property {boolean | null | undefined} [block=false]
+ *   Whether the node is a block: its attributes go on the line before it,
+ *   followed by a blank line, instead of directly after it
+ *   (default: `false`).
+ */
+
+/**
+ * What can follow `{` when it starts attributes: whitespace, `#`, `.`, `}`
+ * (empty attributes), or the start of a name (ASCII letters, digits, `-`,
+ * `_`, and anything that is not ASCII, which is a superset of names).
+ */
+const attributesStart = '[\\t\\n\\r ]*(?:[#.}\\w-]|[^\\x00-\\x7F])'
+
+/**
+ * Handlers of attention (emphasis, strong, strikethrough) that add
+ * attributes.
+ * @type {WeakSet<ToMarkdownHandle>}
+ */
+const attentionHandlers = new WeakSet()
+
+/**
+ * States whose `containerPhrasing` writes the attributes of attention.
+ * @type {WeakSet<State>}
+ */
+const phrasingStates = new WeakSet()
+
+/**
+ * Braces in text and info strings that would start attributes are escaped,
+ * so that they are not turned into attributes when parsed again.
+ * Destinations, titles, image alts, and reference labels are never parsed
+ * for attributes, so braces in them are left alone.
+ *
+ * @type {Array<Unsafe>}
+ */
+const unsafe = [
+  {
+    character: '{',
+    inConstruct: 'phrasing',
+    notInConstruct: [
+      'destinationLiteral',
+      'destinationRaw',
+      'image',
+      'imageReference',
+      'reference',
+      'titleApostrophe',
+      'titleQuote'
+    ],
+    after: attributesStart
+  },
+  {
+    character: '{',
+    inConstruct: [
+      'codeFencedLangGraveAccent',
+      'codeFencedLangTilde',
+      'codeFencedMetaGraveAccent',
+      'codeFencedMetaTilde'
+    ],
+    after: attributesStart
+  }
+]
+
 /**
  * Create an extension for `mdast-util-to-markdown` to serialize attributes.
  *
+ * Handlers wrap those of `mdast-util-to-markdown` and add attributes.
+ * Pass the GFM extension as `extensions` to also wrap its handlers of
+ * tables, strikethrough, footnote references, and list items (tasks); this
+ * extension must then come after it.
+ * Pass `handlers` to wrap the handlers of other extensions instead.
+ * A `{` in text that would start attributes (`*a*` followed by the text
+ * `{.b}`) is escaped (`*a*\{.b}`).
+ *
+ * @param {ToMarkdownOptions | null | undefined} [options]
+ *   Configuration (optional).
  * @returns {ToMarkdownExtension}
  */
-export function attributesToMarkdown() {
+export function attributesToMarkdown(options) {
+  const settings = options || {}
+  /** @type {Record<string, ToMarkdownHandle>} */
+  const handlers = {
+    ...defaultHandlers,
+    ...extensionHandlers(settings.extensions || []),
+    ...settings.handlers
+  }
+  const attributes = settings.attributes || undefined
+  /** @type {Partial<Handlers>} */
+  const optional = {}
+
+  // Only wrap the handlers of GFM that are given, as the GFM extension
+  // configures them.
+  if (handlers.table) optional.table = handleTable
+  if (handlers.tableRow) optional.tableRow = handleTableRow
+  if (handlers.tableCell) optional.tableCell = handleTableCell
+  if (handlers.delete) optional.delete = withInlineAttributes(handlers.delete)
+
+  if (handlers.footnoteReference) {
+    optional.footnoteReference = withInlineAttributes(
+      handlers.footnoteReference
+    )
+  }
+
   return {
+    ...(attributes ? {attributes} : {}),
+    join: [joinAttributedBlocks],
+    unsafe,
     handlers: {
-      emphasis: handleEmphasis,
-      strong: handleStrong,
-      link: handleLink,
-      image: handleImage,
-      inlineCode: handleInlineCode,
-      heading: handleHeading,
-      code: handleCode,
-      thematicBreak: handleThematicBreak,
+      ...optional,
+      root: withPhrasingAttributes(handlers.root),
+      paragraph: withParagraphAttributes(handlers.paragraph),
+      emphasis: withInlineAttributes(handlers.emphasis),
+      strong: withInlineAttributes(handlers.strong),
+      link: withInlineAttributes(handlers.link),
+      image: withInlineAttributes(handlers.image),
+      linkReference: withReferenceAttributes(handlers.linkReference),
+      imageReference: withReferenceAttributes(handlers.imageReference),
+      definition: withDefinitionAttributes(handlers.definition),
+      inlineCode: withInlineAttributes(handlers.inlineCode),
+      heading: withHeadingAttributes(handlers.heading),
+      code: withCodeAttributes(handlers.code),
+      thematicBreak: withThematicBreakAttributes(handlers.thematicBreak),
+      blockquote: withLeadingAttributes(handlers.blockquote),
+      list: withLeadingAttributes(handlers.list),
+      listItem: withListItemAttributes(handlers.listItem),
       mdastAttributes: handleMdastAttributes
     }
   }
+
+  /**
+   * Table with attributes: output attributes on the line before, and those
+   * of rows and cells in the cells.
+   * @type {ToMarkdownHandle}
+   * @param {Table} node
+   */
+  function handleTable(node, parent, state, info) {
+    phrasingWithAttributes(state)
+    const attrs = getAttributesString(node, state)
+    const tracker = state.createTracker(info)
+    let value = attrs ? tracker.move(attrs + '\n') : ''
+    value += tracker.move(
+      handlers.table(
+        {
+          ...node,
+          children: node.children.map(function (row) {
+            return tableRowWithAttributes(row, state)
+          })
+        },
+        parent,
+        state,
+        {...info, ...tracker.current()}
+      )
+    )
+
+    return value
+  }
+
+  /**
+   * @type {ToMarkdownHandle}
+   * @param {TableRow} node
+   */
+  function handleTableRow(node, parent, state, info) {
+    phrasingWithAttributes(state)
+    return handlers.tableRow(
+      tableRowWithAttributes(node, state),
+      parent,
+      state,
+      info
+    )
+  }
+
+  /**
+   * @type {ToMarkdownHandle}
+   * @param {TableCell} node
+   */
+  function handleTableCell(node, parent, state, info) {
+    phrasingWithAttributes(state)
+    return handlers.tableCell(
+      tableCellWithAttributes(node, state),
+      parent,
+      state,
+      info
+    )
+  }
+}
+
+/**
+ * Get the handlers of extensions, and of the extensions in them, in the
+ * order `mdast-util-to-markdown` applies them.
+ *
+ * @param {ReadonlyArray<ToMarkdownExtension>} extensions
+ * @returns {Partial<Handlers>}
+ */
+function extensionHandlers(extensions) {
+  /** @type {Partial<Handlers>} */
+  const handlers = {}
+
+  for (const extension of extensions) {
+    Object.assign(
+      handlers,
+      extensionHandlers(extension.extensions || []),
+      extension.handlers
+    )
+  }
+
+  return handlers
+}
+
+/**
+ * Wrap a handler of `mdast-util-to-markdown` for a custom node type, such as
+ * one of another extension, to add the attributes of the node
+ * (`data.hProperties` or `data.mdastAttributes`).
+ *
+ * Attributes of inline nodes are written directly after them
+ * (`$x${.math}`); those of blocks on the line before them, followed by a
+ * blank line, as not all blocks can interrupt a paragraph.
+ * Register the types with `custom` when parsing, so that attributes are
+ * read back.
+ *
+ * @param {ToMarkdownHandle} handle
+ *   Handler.
+ * @param {WithAttributesOptions | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {ToMarkdownHandle}
+ *   Handler that adds attributes.
+ */
+export function withAttributes(handle, options) {
+  return options && options.block
+    ? withBlockAttributes(handle)
+    : withInlineAttributes(handle)
+}
+
+/**
+ * Wrap a handler of content that can contain phrasing (the root, paragraphs)
+ * so that the attributes of attention in it are written.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withPhrasingAttributes(handle) {
+  return function (node, parent, state, info) {
+    phrasingWithAttributes(state)
+    return handle(node, parent, state, info)
+  }
+}
+
+/**
+ * Make `state.containerPhrasing` write the attributes of attention
+ * (emphasis, strong, strikethrough).
+ *
+ * `mdast-util-to-markdown` writes attention itself, without calling its
+ * handler, when that handler has an `attention` field; so, the attributes of
+ * such nodes are moved into `mdastAttributes` nodes after them, in a copy of
+ * the phrasing content, which lets markers and encoding be picked with the
+ * attributes as real siblings.
+ * @param {State} state
+ * @returns {undefined}
+ */
+function phrasingWithAttributes(state) {
+  if (phrasingStates.has(state)) return
+  phrasingStates.add(state)
+  const containerPhrasing = state.containerPhrasing
+
+  state.containerPhrasing = function (parent, info) {
+    const children = attentionAttributesOut(
+      /** @type {Array<PhrasingContent>} */ (parent.children),
+      state
+    )
+
+    return containerPhrasing.call(
+      state,
+      children === parent.children
+        ? parent
+        : /** @type {typeof parent} */ ({...parent, children}),
+      info
+    )
+  }
+}
+
+/**
+ * Wrap a handler of an inline node to add its attributes after it.
+ *
+ * The attributes of attention are written by `containerPhrasing` instead
+ * (see `phrasingWithAttributes`).
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withInlineAttributes(handle) {
+  const attention = /** @type {{attention?: unknown}} */ (handle).attention
+
+  /** @type {ToMarkdownHandle} */
+  function handleWithAttributes(node, parent, state, info) {
+    phrasingWithAttributes(state)
+    if (attention) return handle(node, parent, state, info)
+    const attrs = getAttributesString(node, state)
+    // The attributes are what comes after the node.
+    return (
+      handle(node, parent, state, attrs ? {...info, after: attrs.charAt(0)} : info) +
+      attrs
+    )
+  }
+
+  const peek = /** @type {{peek?: ToMarkdownHandle}} */ (handle).peek
+  if (peek) {
+    /** @type {{peek?: ToMarkdownHandle}} */ (handleWithAttributes).peek = peek
+  }
+
+  if (attention) {
+    /** @type {{attention?: unknown}} */ (handleWithAttributes).attention =
+      attention
+    attentionHandlers.add(handleWithAttributes)
+  }
+
+  return handleWithAttributes
+}
+
+/**
+ * Copy phrasing, moving the attributes of attention in it into
+ * `mdastAttributes` nodes after that attention; the content of attention is
+ * written without `containerPhrasing`, so it is copied too.
+ * @param {Array<PhrasingContent>} children
+ * @param {State} state
+ * @returns {Array<PhrasingContent>}
+ *   Given children if nothing changed.
+ */
+function attentionAttributesOut(children, state) {
+  /** @type {Array<PhrasingContent>} */
+  const result = []
+  let changed = false
+
+  for (const child of children) {
+    if (
+      !attentionHandlers.has(state.handlers[child.type]) ||
+      !('children' in child)
+    ) {
+      result.push(child)
+      continue
+    }
+
+    const attrs = getAttributes(child)
+    const grandchildren = attentionAttributesOut(child.children, state)
+
+    if (!attrs && grandchildren === child.children) {
+      result.push(child)
+      continue
+    }
+
+    changed = true
+    result.push(
+      /** @type {PhrasingContent} */ ({...child, children: grandchildren})
+    )
+
+    if (attrs) {
+      result.push(createAttributesNode(attrs, state, attributesSource(child)))
+    }
+  }
+
+  return changed ? result : children
+}
+
+/**
+ * Copy a row, moving its attributes and those of its cells into the cells as
+ * `mdastAttributes` nodes: row attributes at the start of the first cell,
+ * cell attributes at the end of each cell.
+ * @param {TableRow} node
+ * @param {State} state
+ * @returns {TableRow}
+ */
+function tableRowWithAttributes(node, state) {
+  const children = node.children.map(function (cell) {
+    return tableCellWithAttributes(cell, state)
+  })
+  const attrs = getAttributes(node)
+
+  if (attrs && children.length > 0) {
+    const head = children[0]
+    /** @type {Array<PhrasingContent>} */
+    const prefix = [createAttributesNode(attrs, state, attributesSource(node))]
+    if (head.children.length > 0) prefix.push({type: 'text', value: ' '})
+    children[0] = {...head, children: [...prefix, ...head.children]}
+  }
+
+  return {...node, children}
+}
+
+/**
+ * Copy a cell, moving its attributes into it as an `mdastAttributes` node.
+ * @param {TableCell} node
+ * @param {State} state
+ * @returns {TableCell}
+ */
+function tableCellWithAttributes(node, state) {
+  const attrs = getAttributes(node)
+  if (!attrs) return node
+  /** @type {Array<PhrasingContent>} */
+  const suffix = [createAttributesNode(attrs, state, attributesSource(node))]
+  if (node.children.length > 0) suffix.unshift({type: 'text', value: ' '})
+  return {...node, children: [...node.children, ...suffix]}
+}
+
+/**
+ * @param {Attributes} attributes
+ * @param {State} state
+ * @param {string | undefined} [source]
+ *   Source the attributes were parsed from, if known.
+ * @returns {PhrasingContent}
+ */
+function createAttributesNode(attributes, state, source) {
+  /** @type {MdastAttributes} */
+  const node = {
+    type: 'mdastAttributes',
+    attributes,
+    value: source === undefined ? serializeAttributes(attributes, state) : source
+  }
+  return node
 }
 
 /**
@@ -668,46 +2410,136 @@ export function attributesToMarkdown() {
  * @param {MdastAttributes} node
  */
 function handleMdastAttributes(node, parent, state, info) {
-  return serializeAttributes(node.attributes)
+  // A pipe in a value would end the table cell.
+  const stack = /** @type {ReadonlyArray<string>} */ (state.stack)
+  const escape = stack.includes('tableCell') ? ['|'] : undefined
+  return attributesToString(node.attributes, state, escape, node.value)
+}
+
+/**
+ * Serialize attributes, writing their source as it is in `lossless` mode
+ * when that is still possible.
+ * @param {Attributes} attributes
+ * @param {State} state
+ * @param {Array<string> | undefined} [escape]
+ *   Extra characters to encode in values.
+ * @param {string | undefined} [source]
+ *   Source the attributes were parsed from.
+ * @returns {string}
+ */
+function attributesToString(attributes, state, escape, source) {
+  const style = state.options.attributes
+
+  if (
+    style &&
+    style.lossless &&
+    source !== undefined &&
+    isUnchangedSource(attributes, source, escape)
+  ) {
+    return source
+  }
+
+  return serializeAttributes(attributes, state, escape, source)
+}
+
+/**
+ * Check whether the source of attributes can be written as it is: it parses
+ * to the same attributes, and has no line endings (which could end the
+ * block) or characters that must be encoded.
+ *
+ * @param {Attributes} attributes
+ * @param {string} value
+ *   Source.
+ * @param {Array<string> | undefined} escape
+ *   Extra characters that must be encoded.
+ * @returns {boolean}
+ */
+function isUnchangedSource(attributes, value, escape) {
+  if (
+    typeof value !== 'string' ||
+    /[\r\n]/.test(value) ||
+    (escape &&
+      escape.some(function (character) {
+        return value.includes(character)
+      }))
+  ) {
+    return false
+  }
+
+  const result = parseAttributes(value, 0)
+  if (!result || result.end !== value.length) return false
+
+  const parsed = listToAttributes(result.list)
+  const keys = Object.keys(attributes).filter(function (key) {
+    return attributeValueToString(attributes[key]) !== undefined
+  })
+
+  return (
+    keys.length === Object.keys(parsed).length &&
+    keys.every(function (key) {
+      return (
+        Object.hasOwn(parsed, key) &&
+        parsed[key] === attributeValueToString(attributes[key])
+      )
+    })
+  )
 }
 
 /**
- * Serialize attributes to markdown syntax
- * @param {Record<string, string> | undefined} props
+ * Serialize attributes to markdown syntax, in the style of
+ * `state.options.attributes`.
+ * @param {Attributes | undefined} props
+ * @param {State} state
+ * @param {Array<string>} [escape]
+ *   Extra characters to encode in values.
+ * @param {string} [source]
+ *   Source the attributes were parsed from, to take their order from.
  * @returns {string}
  */
-function serializeAttributes(props) {
+function serializeAttributes(props, state, escape, source) {
   if (!props || Object.keys(props).length === 0) {
     return ''
   }
 
+  const style = state.options.attributes || {}
+  const quote = style.quote || '"'
   const parts = []
 
-  if (props.id) {
-    parts.push('#' + props.id)
-  }
+  for (const key of orderAttributes(props, style.order, source)) {
+    const value = attributeValueToString(props[key])
 
-  if (props.class) {
-    const classes = props.class.split(/\s+/)
-    for (const cls of classes) {
-      if (cls) {
-        parts.push('.' + cls)
-      }
-    }
-  }
+    if (value === undefined) continue
 
-  for (const [key, value] of Object.entries(props)) {
     if (key === 'id' || key === 'class') {
-      continue
+      // Empty ids and classes are not attributes.
+      if (!value.trim()) continue
+
+      if (style.shortcuts !== false) {
+        const names = key === 'id' ? [value] : value.split(/\s+/).filter(Boolean)
+
+        if (
+          names.every(function (name) {
+            return isShortcutSafe(name, escape)
+          })
+        ) {
+          for (const name of names) {
+            parts.push((key === 'id' ? '#' : '.') + name)
+          }
+
+          continue
+        }
+      }
     }
 
-    if (value === '' || value === true) {
+    if (value === '') {
       parts.push(key)
+    } else if (style.unquoted && isUnquotedSafe(value, escape)) {
+      parts.push(key + '=' + value)
     } else {
-      const escaped = stringifyEntitiesLight(String(value), {
-        subset: ['"', '&']
+      const escaped = stringifyEntitiesLight(value, {
+        subset: escape ? [quote, '&', ...escape] : [quote, '&']
       })
-      parts.push(`${key}="${escaped}"`)
+      parts.push(key + '=' + quote + escaped + quote)
     }
   }
 
@@ -719,240 +2551,466 @@ function serializeAttributes(props) {
 }
 
 /**
- * Get attributes string from node's hProperties or mdastAttributes
- * @param {Nodes} node
- * @returns {string}
+ * Get the keys of attributes in the order to serialize them in.
+ *
+ * @param {Attributes} props
+ * @param {AttributesStyle['order']} order
+ * @param {string | undefined} source
+ * @returns {Array<string>}
  */
-function getAttributesString(node) {
-  const props = node.data?.hProperties
-  if (props && Object.keys(props).length > 0) {
-    return serializeAttributes(props)
+function orderAttributes(props, order, source) {
+  const keys = Object.keys(props)
+
+  if (order === 'sort') {
+    return keys.sort()
   }
 
-  const mdastAttrs = node.data?.mdastAttributes
-  if (mdastAttrs && Object.keys(mdastAttrs).length > 0) {
-    return serializeAttributes(mdastAttrs)
+  if (order === 'source') {
+    const result = source ? parseAttributes(source, 0) : undefined
+    if (!result) return keys
+
+    /** @type {Array<string>} */
+    const ordered = []
+
+    for (const [key] of result.list) {
+      if (keys.includes(key) && !ordered.includes(key)) ordered.push(key)
+    }
+
+    for (const key of keys) {
+      if (!ordered.includes(key)) ordered.push(key)
+    }
+
+    return ordered
   }
 
-  return ''
+  return [
+    ...keys.filter(function (key) {
+      return key === 'id'
+    }),
+    ...keys.filter(function (key) {
+      return key === 'class'
+    }),
+    ...keys.filter(function (key) {
+      return key !== 'id' && key !== 'class'
+    })
+  ]
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {Emphasis} node
- */
-function handleEmphasis(node, parent, state, info) {
-  const tracker = state.createTracker(info)
-  const marker = state.options.emphasis || '*'
-
-  let value = tracker.move(marker)
-  value += tracker.move(
-    state.containerPhrasing(node, {
-      before: value,
-      after: marker,
-      ...tracker.current()
-    })
-  )
-  value += tracker.move(marker)
-  value += getAttributesString(node)
-
-  return value
+ * Turn the value of an attribute into a string, or `undefined` if the
+ * attribute is removed (`false`, `null`, `undefined`).
+ * `true` is an empty string, numbers are stringified, and lists are joined
+ * with spaces.
+ *
+ * @param {AttributeValue} value
+ * @returns {string | undefined}
+ */
+function attributeValueToString(value) {
+  if (value === false || value === null || value === undefined) return
+  if (value === true) return ''
+  if (Array.isArray(value)) return value.join(' ')
+  return String(value)
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {Strong} node
- */
-function handleStrong(node, parent, state, info) {
-  const tracker = state.createTracker(info)
-  const marker = state.options.strong || '*'
-  const doubleMarker = marker + marker
-
-  let value = tracker.move(doubleMarker)
-  value += tracker.move(
-    state.containerPhrasing(node, {
-      before: value,
-      after: doubleMarker,
-      ...tracker.current()
+ * Check whether an id or class can be written as `#id` or `.class`.
+ *
+ * @param {string} value
+ * @param {Array<string> | undefined} escape
+ *   Extra characters that must be encoded, which only the long form can do.
+ * @returns {boolean}
+ */
+function isShortcutSafe(value, escape) {
+  if (value === '' || /[\s"#&'.<=>`{}]/.test(value)) return false
+  return (
+    !escape ||
+    escape.every(function (character) {
+      return !value.includes(character)
     })
   )
-  value += tracker.move(doubleMarker)
-  value += getAttributesString(node)
-
-  return value
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {Link} node
+ * Check whether a value can be written without quotes.
+ *
+ * @param {string} value
+ * @param {Array<string> | undefined} escape
+ *   Extra characters that must be encoded.
+ * @returns {boolean}
  */
-function handleLink(node, parent, state, info) {
-  const tracker = state.createTracker(info)
-
-  let value = tracker.move('[')
-  value += tracker.move(
-    state.containerPhrasing(node, {
-      before: value,
-      after: '](',
-      ...tracker.current()
+function isUnquotedSafe(value, escape) {
+  if (/[\s"&'<=>`{}]/.test(value)) return false
+  return (
+    !escape ||
+    escape.every(function (character) {
+      return !value.includes(character)
     })
   )
-  value += tracker.move('](')
+}
 
-  const url = state.safe(node.url, {before: value, after: ')'})
-  value += tracker.move(url)
+/**
+ * Get attributes from node's hProperties or mdastAttributes
+ * @param {Nodes} node
+ * @returns {Attributes | undefined}
+ */
+export function getAttributes(node) {
+  const data = /** @type {{hProperties?: Attributes, mdastAttributes?: Attributes} | undefined} */ (
+    node.data
+  )
+  const props = data?.hProperties
+  if (props && Object.keys(props).length > 0) {
+    return props
+  }
 
-  if (node.title) {
-    value += tracker.move(' "')
-    value += tracker.move(
-      state.safe(node.title, {before: '"', after: '"'})
-    )
-    value += tracker.move('"')
+  const mdastAttrs = data?.mdastAttributes
+  if (mdastAttrs && Object.keys(mdastAttrs).length > 0) {
+    return mdastAttrs
   }
+}
 
-  value += tracker.move(')')
-  value += getAttributesString(node)
+/**
+ * Get the source of the attributes of a node, if known.
+ * @param {Nodes} node
+ * @returns {string | undefined}
+ */
+function attributesSource(node) {
+  return node.data ? node.data.mdastAttributesSource : undefined
+}
 
-  return value
+/**
+ * Get attributes string from node's hProperties or mdastAttributes
+ * @param {Nodes} node
+ * @param {State} state
+ * @param {Array<string> | undefined} [escape]
+ *   Extra characters to encode in values.
+ * @returns {string}
+ */
+function getAttributesString(node, state, escape) {
+  const attributes = getAttributes(node)
+  return attributes
+    ? attributesToString(attributes, state, escape, attributesSource(node))
+    : ''
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {Image} node
+ * Call a handler with some options of `mdast-util-to-markdown` changed.
+ * @param {ToMarkdownHandle} handle
+ * @param {Nodes} node
+ * @param {Parents | undefined} parent
+ * @param {State} state
+ * @param {Info} info
+ * @param {ToMarkdownExtension} options
+ * @returns {string}
  */
-function handleImage(node, parent, state, info) {
-  const tracker = state.createTracker(info)
+function handleWithOptions(handle, node, parent, state, info, options) {
+  const previous = state.options
+  state.options = {...previous, ...options}
+
+  try {
+    return handle(node, parent, state, info)
+  } finally {
+    state.options = previous
+  }
+}
 
-  let value = tracker.move('![')
-  value += tracker.move(state.safe(node.alt || '', {before: '![', after: ']'}))
-  value += tracker.move('](')
+/**
+ * Wrap a handler of a heading to add its attributes at the end of its text
+ * line, as an `mdastAttributes` node after its content.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withHeadingAttributes(handle) {
+  return function (node, parent, state, info) {
+    const heading = /** @type {Heading} */ (node)
+    const attrs = getAttributes(heading)
+    phrasingWithAttributes(state)
+
+    if (!attrs) {
+      return handle(node, parent, state, info)
+    }
 
-  const url = state.safe(node.url, {before: '](', after: ')'})
-  value += tracker.move(url)
+    /** @type {Array<PhrasingContent>} */
+    const suffix = [
+      createAttributesNode(attrs, state, attributesSource(heading))
+    ]
+    if (heading.children.length > 0) suffix.unshift({type: 'text', value: ' '})
+    /** @type {Heading} */
+    const copy = {...heading, children: [...heading.children, ...suffix]}
+
+    // A heading without content is written as ATX (`## {.x}`): as a setext
+    // heading it would be read back as a rule.
+    return toString(heading)
+      ? handle(copy, parent, state, info)
+      : handleWithOptions(handle, copy, parent, state, info, {setext: false})
+  }
+}
 
-  if (node.title) {
-    value += tracker.move(' "')
-    value += tracker.move(
-      state.safe(node.title, {before: '"', after: '"'})
+/**
+ * Wrap a handler of a paragraph to add its attributes at the end of its last
+ * line, as an `mdastAttributes` node after its content (`a b {.class}`).
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withParagraphAttributes(handle) {
+  return function (node, parent, state, info) {
+    const paragraph = /** @type {Paragraph} */ (node)
+    const attrs = getAttributes(paragraph)
+    phrasingWithAttributes(state)
+
+    if (!attrs) {
+      return handle(node, parent, state, info)
+    }
+
+    /** @type {Array<PhrasingContent>} */
+    const suffix = [
+      createAttributesNode(attrs, state, attributesSource(paragraph))
+    ]
+    if (paragraph.children.length > 0) {
+      suffix.unshift({type: 'text', value: ' '})
+    }
+
+    return handle(
+      {...paragraph, children: [...paragraph.children, ...suffix]},
+      parent,
+      state,
+      info
     )
-    value += tracker.move('"')
   }
+}
 
-  value += tracker.move(')')
-  value += getAttributesString(node)
+/**
+ * Wrap a handler of code to add its attributes at the end of the opening
+ * fence, after the language and meta (```` ```js meta {.class} ````).
+ * Code with attributes is always fenced.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withCodeAttributes(handle) {
+  return function (node, parent, state, info) {
+    const props = getAttributes(node)
 
-  return value
+    if (!props) {
+      return handle(node, parent, state, info)
+    }
+
+    const value = handleWithOptions(handle, node, parent, state, info, {
+      fences: true
+    })
+    const lineEnding = value.indexOf('\n')
+    const fence = lineEnding === -1 ? value : value.slice(0, lineEnding)
+
+    // Not through `safe`: attribute values are already encoded.
+    // Grave accents can't occur in the info string of a grave accent fence.
+    return (
+      fence +
+      ' ' +
+      getAttributesString(
+        node,
+        state,
+        fence.charAt(0) === '`' ? ['`'] : undefined
+      ) +
+      value.slice(fence.length)
+    )
+  }
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {InlineCode} node
+ * Wrap a handler of a thematic break to add its attributes on the line
+ * before it.
+ * `{.class}\n---` is parsed as a setext heading and `{.class}\n***` as a
+ * paragraph interrupted by a rule; both are turned back into a rule.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
  */
-function handleInlineCode(node, parent, state, info) {
-  const tracker = state.createTracker(info)
-  const value = node.value || ''
+function withThematicBreakAttributes(handle) {
+  return function (node, parent, state, info) {
+    const value = handle(node, parent, state, info)
+    const attrs = getAttributesString(node, state)
+    return attrs ? attrs + '\n' + value : value
+  }
+}
 
-  const backtickMatch = value.match(/`+/g)
-  let backtickCount = 1
+/**
+ * Attributes of blockquotes, lists, and tables go on the line before them,
+ * which must not directly follow another block: it would either continue a
+ * paragraph or target that block.
+ * Attributes of definitions go on the line after them, which must not
+ * directly precede another block for the same reasons.
+ *
+ * @type {Join}
+ */
+function joinAttributedBlocks(left, right) {
+  if (left.type === 'definition' && getAttributes(left)) {
+    return 1
+  }
 
-  if (backtickMatch) {
-    const max = Math.max(...backtickMatch.map(m => m.length))
-    backtickCount = max + 1
+  if (
+    (right.type === 'blockquote' ||
+      right.type === 'list' ||
+      right.type === 'table') &&
+    getAttributes(right)
+  ) {
+    return 1
   }
+}
 
-  const backticks = '`'.repeat(backtickCount)
+/**
+ * Wrap a handler of a blockquote or list to add its attributes on the line
+ * before it (`{.class}\n> quote`).
+ * Ordered lists not starting at 1 cannot interrupt a paragraph, so those get
+ * a blank line in between.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withLeadingAttributes(handle) {
+  return function (node, parent, state, info) {
+    const attrs = getAttributesString(node, state)
 
-  const needsSpace = value.startsWith('`') ||
-    value.endsWith('`') ||
-    (value.startsWith(' ') && value.endsWith(' ') && value.trim())
+    if (!attrs) {
+      return handle(node, parent, state, info)
+    }
 
-  let result = tracker.move(backticks)
-  if (needsSpace) {
-    result += tracker.move(' ')
-  }
-  result += tracker.move(value)
-  if (needsSpace) {
-    result += tracker.move(' ')
-  }
-  result += tracker.move(backticks)
-  result += getAttributesString(node)
+    const list = /** @type {Blockquote | List} */ (node)
+    const start =
+      list.type === 'list' && typeof list.start === 'number' ? list.start : 1
+    const tracker = state.createTracker(info)
+    let value = tracker.move(
+      attrs + (list.type === 'list' && list.ordered && start !== 1 ? '\n\n' : '\n')
+    )
+    value += tracker.move(
+      handle(node, parent, state, {
+        ...info,
+        ...tracker.current()
+      })
+    )
 
-  return result
+    return value
+  }
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {Heading} node
- */
-function handleHeading(node, parent, state, info) {
-  const tracker = state.createTracker(info)
-  const depth = node.depth || 1
-  const marker = '#'.repeat(depth)
-
-  let value = tracker.move(marker + ' ')
-  value += tracker.move(
-    state.containerPhrasing(node, {
-      before: value,
-      after: '\n',
-      ...tracker.current()
-    })
-  )
+ * Wrap a handler of a custom block to add its attributes on the line before
+ * it, followed by a blank line (`{.class}\n\n$$\nx\n$$`).
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withBlockAttributes(handle) {
+  return function (node, parent, state, info) {
+    const attrs = getAttributesString(node, state)
+    phrasingWithAttributes(state)
 
-  const attrs = getAttributesString(node)
-  if (attrs) {
-    value += ' ' + attrs
-  }
+    if (!attrs) {
+      return handle(node, parent, state, info)
+    }
 
-  return value
+    const tracker = state.createTracker(info)
+    let value = tracker.move(attrs + '\n\n')
+    value += tracker.move(
+      handle(node, parent, state, {...info, ...tracker.current()})
+    )
+
+    return value
+  }
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {Code} node
+ * Wrap a handler of a list item to add its attributes after the marker
+ * (`* {.class} text`), or after the checkbox of a task (`* [x] {.class} text`).
+ * If the item does not start with a paragraph, the content starts on the
+ * next line.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
  */
-function handleCode(node, parent, state, info) {
-  const tracker = state.createTracker(info)
-  const fence = '```'
+function withListItemAttributes(handle) {
+  return function (node, parent, state, info) {
+    const value = handle(node, parent, state, info)
+    const attrs = getAttributesString(node, state)
 
-  let value = tracker.move(fence)
+    if (!attrs) {
+      return value
+    }
 
-  if (node.lang) {
-    value += tracker.move(node.lang)
-  }
+    const prefix = (
+      typeof (/** @type {ListItem} */ (node).checked) === 'boolean'
+        ? /^(?:[*+-]|\d+[.)])[ \t]*(?:\[[ xX]\][ \t]+)?/
+        : /^(?:[*+-]|\d+[.)])[ \t]*/
+    ).exec(value)
+    if (!prefix) return value
 
-  const attrs = getAttributesString(node)
-  if (attrs) {
-    value += ' ' + attrs
-  }
+    const marker = prefix[0].trimEnd()
+    const rest = value.slice(prefix[0].length)
+    const head = /** @type {ListItem} */ (node).children[0]
 
-  value += tracker.move('\n')
+    if (!rest || rest.charAt(0) === '\n') {
+      return marker + ' ' + attrs + rest
+    }
 
-  if (node.value) {
-    value += tracker.move(node.value)
-    if (!node.value.endsWith('\n')) {
-      value += tracker.move('\n')
+    if (head && head.type === 'paragraph') {
+      return prefix[0] + attrs + ' ' + rest
     }
+
+    return marker + ' ' + attrs + '\n' + ' '.repeat(prefix[0].length) + rest
   }
+}
 
-  value += tracker.move(fence)
+/**
+ * Wrap a handler of a reference to add its attributes after it.
+ * After `attachAttributes` merged definition attributes into a reference,
+ * its own attributes are in mdastAttributes: only those are written.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
+ */
+function withReferenceAttributes(handle) {
+  /** @type {ToMarkdownHandle} */
+  function handleWithAttributes(node, parent, state, info) {
+    phrasingWithAttributes(state)
+    const own = /** @type {LinkReference | ImageReference} */ (node).data
+      ?.mdastAttributes
+    const attrs = own
+      ? attributesToString(own, state, undefined, attributesSource(node))
+      : getAttributesString(node, state)
+    return (
+      handle(node, parent, state, attrs ? {...info, after: attrs.charAt(0)} : info) +
+      attrs
+    )
+  }
+
+  const peek = /** @type {{peek?: ToMarkdownHandle}} */ (handle).peek
+  if (peek) {
+    /** @type {{peek?: ToMarkdownHandle}} */ (handleWithAttributes).peek = peek
+  }
 
-  return value
+  return handleWithAttributes
 }
 
 /**
- * @type {ToMarkdownHandle}
- * @param {ThematicBreak} node
+ * Wrap a handler of a definition to add its attributes on the line after it
+ * (`[a]: b\n{.class}`): on the same line, markdown sees a paragraph, and
+ * only references with plain text labels are found again.
+ * @param {ToMarkdownHandle} handle
+ * @returns {ToMarkdownHandle}
  */
-function handleThematicBreak(node, parent, state, info) {
-  const attrs = getAttributesString(node)
+function withDefinitionAttributes(handle) {
+  return function (node, parent, state, info) {
+    const value = handle(node, parent, state, info)
+    const attrs = getAttributesString(node, state)
 
-  // Thematic break with attributes: output attributes on line before
-  // This format: {.class}\n---
-  // Which will be parsed back as setext heading, then converted to thematic break
-  if (attrs) {
-    return attrs + '\n---'
-  }
+    if (!attrs) {
+      return value
+    }
 
-  // Default: just the thematic break
-  return '---'
+    // `tightDefinitions` joins definitions without blank line, and its join
+    // takes precedence over ours.
+    const next = parent
+      ? parent.children[
+          /** @type {Array<Nodes>} */ (parent.children).indexOf(node) + 1
+        ]
+      : undefined
+    const blank =
+      state.options.tightDefinitions && next && next.type === 'definition'
+        ? '\n'
+        : ''
+
+    return value + '\n' + attrs + blank
+  }
 }
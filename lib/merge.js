@@ -0,0 +1,156 @@
+/**
+ * @import {Position} from 'unist'
+ * @import {AttributeValue, Attributes} from '../index.js'
+ */
+
+/**
+ * @callback MergeValue
+ *   Combine two values of an attribute.
+ * @param {AttributeValue} current
+ *   Value already on the node.
+ * @param {AttributeValue} value
+ *   Value that is added.
+ * @param {string} key
+ *   Name of the attribute.
+ * @returns {AttributeValue}
+ *   Combined value; `undefined` removes the attribute.
+ *
+ * @typedef {'concat' | 'error' | 'first' | 'last' | MergeValue} MergeStrategy
+ *   How to combine two values of an attribute: `'concat'` joins them (the
+ *   declarations of `style` with `;`, other values with spaces, leaving out
+ *   words already there), `'first'` keeps the value already on the node,
+ *   `'last'` uses the added value, `'error'` throws when the values differ,
+ *   and a function combines them.
+ *
+ * @typedef {Readonly<Record<string, MergeStrategy | null | undefined>>} Merge
+ *   Strategies by attribute name; `'*'` applies to other names.
+ */
+
+import {VFileMessage} from 'vfile-message'
+
+/** @type {Merge} */
+const defaultMerge = {class: 'concat', style: 'concat', id: 'first', '*': 'last'}
+
+/**
+ * Add the defaults to strategies.
+ *
+ * @param {Merge | null | undefined} [merge]
+ * @returns {Merge}
+ */
+export function createMerge(merge) {
+  return {...defaultMerge, ...merge}
+}
+
+/**
+ * Get the strategy for an attribute.
+ *
+ * @param {Merge} merge
+ * @param {string} key
+ * @returns {MergeStrategy}
+ */
+export function mergeStrategy(merge, key) {
+  return (Object.hasOwn(merge, key) && merge[key]) || merge['*'] || 'last'
+}
+
+/**
+ * Merge `attributes` into `target`.
+ *
+ * @param {Attributes} target
+ *   Attributes already on a node (modified in place).
+ * @param {Readonly<Attributes>} attributes
+ *   Attributes that are added.
+ * @param {Merge} merge
+ *   Strategies.
+ * @param {Position | undefined} [place]
+ *   Place of the added attributes, for errors.
+ * @returns {undefined}
+ */
+export function mergeAttributes(target, attributes, merge, place) {
+  for (const [key, value] of Object.entries(attributes)) {
+    if (target[key] === undefined) {
+      target[key] = value
+      continue
+    }
+
+    const result = mergeValue(
+      mergeStrategy(merge, key),
+      key,
+      target[key],
+      value,
+      place
+    )
+
+    if (result === undefined) {
+      delete target[key]
+    } else {
+      target[key] = result
+    }
+  }
+}
+
+/**
+ * Combine two values of an attribute.
+ *
+ * @param {MergeStrategy} strategy
+ * @param {string} key
+ * @param {AttributeValue} current
+ * @param {AttributeValue} value
+ * @param {Position | undefined} [place]
+ * @returns {AttributeValue}
+ */
+export function mergeValue(strategy, key, current, value, place) {
+  if (typeof strategy === 'function') return strategy(current, value, key)
+  if (strategy === 'first') return current
+  if (strategy === 'last') return value
+
+  if (strategy === 'error') {
+    if (String(current) !== String(value)) {
+      const message = new VFileMessage(
+        'Unexpected second value `' +
+          value +
+          '` for `' +
+          key +
+          '`, expected one value (first was `' +
+          current +
+          '`)',
+        {
+          place,
+          ruleId: 'conflicting-attribute',
+          source: 'mdast-util-attributes'
+        }
+      )
+      message.fatal = true
+      throw message
+    }
+
+    return current
+  }
+
+  if (key === 'style') {
+    return [current, value]
+      .map(function (d) {
+        return typeof d === 'string' ? d.trim().replace(/;$/, '') : ''
+      })
+      .filter(Boolean)
+      .join('; ')
+  }
+
+  const result = words(current)
+
+  for (const word of words(value)) {
+    if (!result.includes(word)) result.push(word)
+  }
+
+  return result.join(' ')
+}
+
+/**
+ * @param {AttributeValue} value
+ * @returns {Array<string>}
+ */
+function words(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean)
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean)
+  if (typeof value === 'number') return [String(value)]
+  return []
+}
@@ -0,0 +1,311 @@
+/**
+ * @import {Position} from 'unist'
+ * @import {Attributes} from '../index.js'
+ * @import {Merge} from './merge.js'
+ */
+
+/**
+ * @typedef ParseResult
+ *   Result of parsing attributes.
+ * @property {Array<[key: string, value: string | true]>} list
+ *   Attributes in source order; `#id` is `['id', value]`, `.class` is
+ *   `['class', value]`, and attributes without value have a value of `true`.
+ * @property {Array<[start: number, end: number]>} ranges
+ *   Indices in the source of each attribute in `list`.
+ * @property {number} end
+ *   Index in the source after the closing brace.
+ */
+
+import {parseEntities} from 'parse-entities'
+import {createMerge, mergeAttributes} from './merge.js'
+
+/**
+ * Parse attributes (`{#id .class key="value"}`) in `value` at `start`.
+ *
+ * This follows the grammar of `micromark-extension-attributes` exactly, so
+ * that attributes found in text by the transforms (at the end of headings,
+ * paragraphs, and table cells, in code info strings, and at the start of
+ * list items) are the same as those found by the tokenizer:
+ *
+ * * whitespace (spaces, tabs, and line endings) separates attributes; it is
+ *   not needed after `#id` and `.class`, and can surround `=`
+ * * `#` and `.` start an id and a class; the value cannot be empty and
+ *   cannot contain whitespace, `"`, `'`, `<`, `=`, `>`, or `` ` ``; `#` and
+ *   `.` start the next id or class
+ * * a name starts with a character that is not whitespace or punctuation
+ *   (except `-` and `_`), and continues with such characters (and `.` and
+ *   `:`)
+ * * a value is either quoted with `"` or `'`, and can contain anything but
+ *   that quote (line endings and the whitespace after them are dropped), or
+ *   unquoted, and then cannot be empty or contain whitespace, `"`, `'`, `<`,
+ *   `=`, `>`, `` ` ``, or `}`; a quoted value must be followed by whitespace
+ *   or `}`
+ * * character references are decoded in ids, classes, and values
+ *
+ * @param {string} value
+ *   Source.
+ * @param {number} start
+ *   Index of `{` in `value`.
+ * @returns {ParseResult | undefined}
+ *   Result, if there are valid attributes at `start`.
+ */
+export function parseAttributes(value, start) {
+  /** @type {Array<[key: string, value: string | true]>} */
+  const list = []
+  /** @type {Array<[start: number, end: number]>} */
+  const ranges = []
+  let index = start
+
+  if (value.charCodeAt(index) !== 123 /* `{` */) return
+
+  index++
+
+  while (true) {
+    index = whitespace(index)
+
+    const code = value.codePointAt(index)
+
+    // `}`.
+    if (code === 125) {
+      return {list, ranges, end: index + 1}
+    }
+
+    // `#`, `.`.
+    if (code === 35 || code === 46) {
+      const shortcutStart = index + 1
+      index = shortcutStart
+
+      while (index < value.length) {
+        const inner = /** @type {number} */ (value.codePointAt(index))
+        if (inner === 35 || inner === 46 || inner === 125 || isSpace(inner)) {
+          break
+        }
+
+        if (isShortcutForbidden(inner)) return
+        index += inner > 0xff_ff ? 2 : 1
+      }
+
+      // Empty, or eof.
+      if (index === shortcutStart || index === value.length) return
+
+      list.push([
+        code === 35 ? 'id' : 'class',
+        decode(value.slice(shortcutStart, index))
+      ])
+      ranges.push([shortcutStart - 1, index])
+      continue
+    }
+
+    if (code === undefined || !isNameStart(code)) return
+
+    const nameStart = index
+    index = nameEnd(index)
+    const name = value.slice(nameStart, index)
+    const nameEndIndex = index
+    index = whitespace(index)
+
+    if (value.charCodeAt(index) !== 61 /* `=` */) {
+      list.push([name, true])
+      ranges.push([nameStart, nameEndIndex])
+      continue
+    }
+
+    index = whitespace(index + 1)
+    const marker = value.charCodeAt(index)
+
+    // `"`, `'`.
+    if (marker === 34 || marker === 39) {
+      let data = ''
+      index++
+
+      while (true) {
+        if (index >= value.length) return
+
+        const inner = value.charCodeAt(index)
+
+        if (inner === marker) {
+          index++
+          break
+        }
+
+        // Line endings and the whitespace after them are not part of the
+        // value.
+        if (inner === 10 || inner === 13) {
+          index = whitespace(index)
+          continue
+        }
+
+        data += value.charAt(index)
+        index++
+      }
+
+      const after = value.charCodeAt(index)
+      if (after !== 125 && !isSpace(after)) return
+      list.push([name, decode(data)])
+      ranges.push([nameStart, index])
+      continue
+    }
+
+    // `<`, `=`, `>`, `` ` ``, `}`, or eof.
+    if (
+      Number.isNaN(marker) ||
+      marker === 60 ||
+      marker === 61 ||
+      marker === 62 ||
+      marker === 96 ||
+      marker === 125
+    ) {
+      return
+    }
+
+    const valueStart = index
+
+    while (index < value.length) {
+      const inner = value.charCodeAt(index)
+      if (inner === 125 || isSpace(inner)) break
+      if (isShortcutForbidden(inner)) return
+      index++
+    }
+
+    if (index === value.length) return
+    list.push([name, decode(value.slice(valueStart, index))])
+    ranges.push([nameStart, index])
+  }
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  function whitespace(index) {
+    while (isSpace(value.charCodeAt(index))) index++
+    return index
+  }
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  function nameEnd(index) {
+    while (index < value.length) {
+      const code = /** @type {number} */ (value.codePointAt(index))
+      if (!isNameInside(code)) break
+      index += code > 0xff_ff ? 2 : 1
+    }
+
+    return index
+  }
+}
+
+/**
+ * Fold a list of attributes into a record, in source order, combining
+ * values of the same key with `merge`.
+ * Attributes without value are `true` when `booleans` is on, and an empty
+ * string otherwise; a class without value is always an empty string.
+ *
+ * @param {ReadonlyArray<readonly [key: string, value: string | true]>} list
+ * @param {boolean | undefined} [booleans=false]
+ *   Whether attributes without value are `true` (default: `false`).
+ * @param {Merge | undefined} [merge]
+ *   Strategies (default: the defaults of `createMerge`).
+ * @param {Position | undefined} [place]
+ *   Place of the attributes, for errors (optional).
+ * @returns {Attributes}
+ */
+export function listToAttributes(list, booleans, merge, place) {
+  const strategies = merge || createMerge()
+  /** @type {Attributes} */
+  const attributes = {}
+
+  for (const [key, raw] of list) {
+    const value = raw === true && (key === 'class' || !booleans) ? '' : raw
+    mergeAttributes(attributes, {[key]: value}, strategies, place)
+  }
+
+  return attributes
+}
+
+/**
+ * Get the classes in a value of `class`: a string is split on whitespace, a
+ * list is used as it is.
+ *
+ * @param {Attributes[string]} value
+ * @returns {Array<string>}
+ */
+export function classNames(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean)
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean)
+  return []
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function decode(value) {
+  return parseEntities(value, {attribute: true})
+}
+
+/**
+ * Tab, line feed, carriage return, or space.
+ *
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isSpace(code) {
+  return code === 9 || code === 10 || code === 13 || code === 32
+}
+
+/**
+ * `"`, `'`, `<`, `=`, `>`, or `` ` ``.
+ *
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isShortcutForbidden(code) {
+  return (
+    code === 34 ||
+    code === 39 ||
+    code === 60 ||
+    code === 61 ||
+    code === 62 ||
+    code === 96
+  )
+}
+
+/**
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isNameStart(code) {
+  return (
+    code === 45 /* `-` */ ||
+    code === 95 /* `_` */ ||
+    !(isUnicodeWhitespace(code) || isUnicodePunctuation(code))
+  )
+}
+
+/**
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isNameInside(code) {
+  return (
+    code === 46 /* `.` */ || code === 58 /* `:` */ || isNameStart(code)
+  )
+}
+
+/**
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isUnicodeWhitespace(code) {
+  return /\s/.test(String.fromCodePoint(code))
+}
+
+/**
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isUnicodePunctuation(code) {
+  return /\p{P}|\p{S}/u.test(String.fromCodePoint(code))
+}
@@ -0,0 +1,276 @@
+/**
+ * @import {Attributes} from '../index.js'
+ */
+
+/**
+ * @typedef {[key: string, value: string | true]} Entry
+ *   Attribute in a list; `true` is an attribute without value.
+ *
+ * @typedef Policy
+ *   Which attributes are allowed (optional).
+ * @property {ReadonlyArray<string> | Readonly<Record<string, ReadonlyArray<string>>> | null | undefined} [allow]
+ *   Attribute names that are allowed (case-insensitive): a list for all
+ *   node types, or lists per node type, where `'*'` applies to all types
+ *   (default: all names).
+ * @property {ReadonlyArray<RegExp | string> | null | undefined} [classes]
+ *   Classes that are allowed: strings match exactly, regular expressions are
+ *   tested (default: all classes).
+ * @property {ReadonlyArray<string> | null | undefined} [protocols]
+ *   Protocols allowed in URLs in `href` and `src` (case-insensitive);
+ *   relative URLs are always allowed
+ *   (default: `['http', 'https', 'mailto']`).
+ *
+ * @typedef Rejection
+ *   Attribute, or class, that is not allowed.
+ * @property {number} index
+ *   Index of the attribute in the list.
+ * @property {'attribute' | 'class' | 'protocol'} reason
+ *   Why it is not allowed: its name, its class, or the protocol of its URL.
+ * @property {string} key
+ *   Name of the attribute.
+ * @property {string | true} value
+ *   Value of the attribute (`true` if it has none), or the class.
+ *
+ * @typedef PolicyResult
+ *   Result of applying a policy.
+ * @property {Array<Entry>} list
+ *   Allowed attributes.
+ * @property {Array<number>} indices
+ *   Index in the original list of each allowed attribute.
+ * @property {Array<Rejection>} rejections
+ *   Attributes and classes that are not allowed.
+ */
+
+import {classNames} from './parse-attributes.js'
+
+/** @type {ReadonlyArray<string>} */
+const defaultProtocols = ['http', 'https', 'mailto']
+
+/** @type {ReadonlyArray<string>} */
+const urlAttributes = ['href', 'src']
+
+/**
+ * Remove attributes that are not allowed by `policy` from `list`.
+ *
+ * @param {ReadonlyArray<Readonly<Entry>>} list
+ *   Attributes in source order.
+ * @param {string} type
+ *   Type of the node the attributes are for.
+ * @param {Policy} policy
+ *   Policy.
+ * @returns {PolicyResult}
+ *   Result.
+ */
+export function applyPolicy(list, type, policy) {
+  const names = allowedNames(policy, type)
+  const protocols = (policy.protocols || defaultProtocols).map(function (d) {
+    return d.toLowerCase()
+  })
+  /** @type {PolicyResult} */
+  const result = {list: [], indices: [], rejections: []}
+  let index = -1
+
+  while (++index < list.length) {
+    const [key, value] = list[index]
+    const name = key.toLowerCase()
+
+    if (names && !names.has(name)) {
+      result.rejections.push({index, reason: 'attribute', key, value})
+      continue
+    }
+
+    if (name === 'class' && policy.classes) {
+      /** @type {Array<string>} */
+      const classes = []
+
+      for (const className of classNames(value)) {
+        if (isAllowedClass(className, policy.classes)) {
+          classes.push(className)
+        } else {
+          result.rejections.push({
+            index,
+            reason: 'class',
+            key,
+            value: className
+          })
+        }
+      }
+
+      if (classes.length > 0) {
+        result.list.push([key, classes.join(' ')])
+        result.indices.push(index)
+      }
+
+      continue
+    }
+
+    if (
+      urlAttributes.includes(name) &&
+      typeof value === 'string' &&
+      !isAllowedUrl(value, protocols)
+    ) {
+      result.rejections.push({index, reason: 'protocol', key, value})
+      continue
+    }
+
+    result.list.push([key, value])
+    result.indices.push(index)
+  }
+
+  return result
+}
+
+/**
+ * Remove attributes that are not allowed by `policy` on nodes of `type` from
+ * `attributes`, such as when they end up on another node than the one they
+ * were checked for when parsing.
+ *
+ * @param {Readonly<Attributes>} attributes
+ *   Attributes.
+ * @param {string} type
+ *   Type of the node the attributes are on.
+ * @param {Policy} policy
+ *   Policy.
+ * @returns {{attributes: Attributes, rejections: Array<Rejection>}}
+ *   Allowed attributes, and those that are not.
+ */
+export function applyPolicyToAttributes(attributes, type, policy) {
+  /** @type {Attributes} */
+  const allowed = {}
+  /** @type {Array<Rejection>} */
+  const rejections = []
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value === null || value === undefined || value === false) {
+      allowed[key] = value
+      continue
+    }
+
+    const entry =
+      value === true
+        ? value
+        : Array.isArray(value)
+          ? value.join(' ')
+          : String(value)
+    const result = applyPolicy([[key, entry]], type, policy)
+    rejections.push(...result.rejections)
+
+    if (result.list.length > 0) {
+      const checked = result.list[0][1]
+      allowed[key] = checked === entry ? value : checked
+    }
+  }
+
+  return {attributes: allowed, rejections}
+}
+
+/**
+ * Describe why an attribute is not allowed.
+ *
+ * @param {Rejection} rejection
+ *   Rejection.
+ * @param {string} type
+ *   Type of the node the attribute is for.
+ * @returns {string}
+ *   Reason.
+ */
+export function rejectionReason(rejection, type) {
+  if (rejection.reason === 'class') {
+    return (
+      'Unexpected class `' +
+      rejection.value +
+      '` on `' +
+      type +
+      '`, expected an allowed class'
+    )
+  }
+
+  if (rejection.reason === 'protocol') {
+    return (
+      'Unexpected URL `' +
+      rejection.value +
+      '` in `' +
+      rejection.key +
+      '`, expected a relative URL or an allowed protocol'
+    )
+  }
+
+  return (
+    'Unexpected attribute `' +
+    rejection.key +
+    '` on `' +
+    type +
+    '`, expected an allowed attribute'
+  )
+}
+
+/**
+ * @param {Policy} policy
+ * @param {string} type
+ * @returns {Set<string> | undefined}
+ */
+function allowedNames(policy, type) {
+  const allow = policy.allow
+  if (!allow) return
+
+  /** @type {ReadonlyArray<string>} */
+  const names = Array.isArray(allow)
+    ? allow
+    : [
+        ...((/** @type {Readonly<Record<string, ReadonlyArray<string>>>} */ (
+          allow
+        )['*']) || []),
+        ...((/** @type {Readonly<Record<string, ReadonlyArray<string>>>} */ (
+          allow
+        )[type]) || [])
+      ]
+
+  return new Set(
+    names.map(function (d) {
+      return d.toLowerCase()
+    })
+  )
+}
+
+/**
+ * @param {string} value
+ * @param {ReadonlyArray<RegExp | string>} patterns
+ * @returns {boolean}
+ */
+function isAllowedClass(value, patterns) {
+  return patterns.some(function (pattern) {
+    if (typeof pattern === 'string') return pattern === value
+    pattern.lastIndex = 0
+    return pattern.test(value)
+  })
+}
+
+/**
+ * Check whether a URL is relative or has an allowed protocol.
+ * Browsers ignore whitespace and control characters in protocols
+ * (`java\tscript:`), so they are removed first.
+ *
+ * @param {string} value
+ * @param {ReadonlyArray<string>} protocols
+ * @returns {boolean}
+ */
+function isAllowedUrl(value, protocols) {
+  const url = value.replace(/[\u0000- \u007F]/g, '')
+  const colon = url.indexOf(':')
+  const questionMark = url.indexOf('?')
+  const numberSign = url.indexOf('#')
+  const slash = url.indexOf('/')
+
+  if (
+    // No protocol.
+    colon === -1 ||
+    // The colon is in the path, search, or hash, so it is relative.
+    (slash !== -1 && colon > slash) ||
+    (questionMark !== -1 && colon > questionMark) ||
+    (numberSign !== -1 && colon > numberSign)
+  ) {
+    return true
+  }
+
+  return protocols.includes(url.slice(0, colon).toLowerCase())
+}
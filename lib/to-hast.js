@@ -0,0 +1,116 @@
+/**
+ * @import {Element, Properties, Text} from 'hast'
+ * @import {Nodes} from 'mdast'
+ * @import {Handler, Handlers, State} from 'mdast-util-to-hast'
+ * @import {MdastAttributes} from '../index.js'
+ */
+
+import {h} from 'hastscript'
+import {defaultHandlers} from 'mdast-util-to-hast'
+import {getAttributes} from './index.js'
+
+/**
+ * Create handlers for `mdast-util-to-hast` that turn attributes into
+ * properties.
+ *
+ * The attributes of a node (`data.hProperties`, or when there are none,
+ * `data.mdastAttributes`) are added to the element it turns into as hast
+ * properties: `class` becomes a `className` array that is added to the
+ * classes already there, `data-*` becomes camelcased `data*`, and so on.
+ * `mdastAttributes` nodes that are not attached turn into text of their
+ * source, so that nothing is lost.
+ *
+ * @returns {Handlers}
+ *   Handlers for `mdast-util-to-hast`.
+ */
+export function attributesToHast() {
+  /** @type {Handlers} */
+  const handlers = {mdastAttributes: handleMdastAttributes}
+
+  for (const [type, handle] of Object.entries(defaultHandlers)) {
+    handlers[/** @type {keyof Handlers} */ (type)] = withAttributes(
+      /** @type {Handler} */ (handle)
+    )
+  }
+
+  return handlers
+}
+
+/**
+ * Wrap a handler to add the attributes of a node to the element it turns
+ * into.
+ * The element is found where the handler applies `data` (`state.applyData`),
+ * which for code is the `code` in the `pre`.
+ *
+ * @param {Handler} handle
+ * @returns {Handler}
+ */
+function withAttributes(handle) {
+  return function (state, node, parent) {
+    const attributes = getAttributes(node)
+
+    if (!attributes) {
+      return handle(state, node, parent)
+    }
+
+    const properties = h('x', attributes).properties
+    const applyData = state.applyData
+
+    /** @type {State['applyData']} */
+    state.applyData = function (from, to) {
+      if (from !== node) return applyData(from, to)
+
+      // Do not let `mdast-util-to-hast` add the attributes as they are.
+      const data = /** @type {Record<string, unknown>} */ ({...from.data})
+      delete data.hProperties
+      const result = applyData(/** @type {Nodes} */ ({...from, data}), to)
+
+      if (result.type === 'element') {
+        addProperties(result, properties)
+      }
+
+      return result
+    }
+
+    try {
+      return handle(state, node, parent)
+    } finally {
+      state.applyData = applyData
+    }
+  }
+}
+
+/**
+ * Turn unattached attributes into text.
+ *
+ * @param {State} state
+ * @param {MdastAttributes} node
+ * @returns {Element | Text}
+ */
+function handleMdastAttributes(state, node) {
+  /** @type {Text} */
+  const result = {type: 'text', value: node.value}
+  state.patch(node, result)
+  return state.applyData(node, result)
+}
+
+/**
+ * @param {Element} element
+ * @param {Properties} properties
+ */
+function addProperties(element, properties) {
+  for (const [key, value] of Object.entries(properties)) {
+    const current = element.properties[key]
+
+    if (key === 'className' && Array.isArray(current) && Array.isArray(value)) {
+      const classes = /** @type {Array<string>} */ ([...current])
+      for (const name of value) {
+        if (!classes.includes(String(name))) classes.push(String(name))
+      }
+
+      element.properties.className = classes
+    } else {
+      element.properties[key] = value
+    }
+  }
+}
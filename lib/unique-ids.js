@@ -0,0 +1,206 @@
+/**
+ * @import {Nodes, Root} from 'mdast'
+ * @import {Position} from 'unist'
+ * @import {Attributes, MdastAttributes} from '../index.js'
+ * @import {OnDiagnostic} from './index.js'
+ */
+
+/**
+ * @typedef UniqueIdsOptions
+ *   Configuration for `uniqueIds` (optional).
+ * @property {Rename | boolean | null | undefined} [rename=false]
+ *   Whether to give later occurrences of an id a new id; `true` appends
+ *   `-1`, `-2`, and so on (`intro-1`), a function is called to make an id
+ *   (default: `false`).
+ * @property {OnDiagnostic | null | undefined} [onDiagnostic]
+ *   Called with a message for each later occurrence of an id (optional).
+ *
+ * @callback Rename
+ *   Make a new id for a later occurrence of an id.
+ * @param {string} id
+ *   Id.
+ * @param {number} count
+ *   Attempt, starting at `1`; incremented while the result is already used
+ *   in the document.
+ * @returns {string}
+ *   New id.
+ *
+ * @typedef IdCollision
+ *   Id that is used more than once in a document.
+ * @property {string} id
+ *   Id.
+ * @property {Nodes} first
+ *   Node with the first occurrence.
+ * @property {Position | undefined} firstPlace
+ *   Place of the first occurrence.
+ * @property {Nodes} node
+ *   Node with the later occurrence.
+ * @property {Position | undefined} place
+ *   Place of the later occurrence.
+ * @property {string | undefined} renamed
+ *   New id of the later occurrence, if renamed.
+ *
+ * @typedef Occurrence
+ *   Place where an id is set.
+ * @property {Nodes} node
+ *   Node.
+ * @property {Array<Attributes>} records
+ *   Attributes that hold the id.
+ * @property {string} id
+ *   Id.
+ */
+
+import {stringifyPosition} from 'unist-util-stringify-position'
+import {VFileMessage} from 'vfile-message'
+
+/**
+ * Find ids that are used more than once in a document, and optionally give
+ * later occurrences a new id.
+ *
+ * Ids are looked for in attributes after attachment (`data.hProperties`),
+ * in attributes that are not attached yet (`data.mdastAttributes`), and in
+ * `mdastAttributes` nodes.
+ * Of references, only their own attributes are used, not those of their
+ * definition.
+ *
+ * @param {Root} tree
+ *   Tree to check (modified in place when renaming).
+ * @param {UniqueIdsOptions | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Array<IdCollision>}
+ *   Later occurrences of ids, in tree order.
+ */
+export function uniqueIds(tree, options) {
+  const settings = options || {}
+  const rename =
+    settings.rename === true ? defaultRename : settings.rename || undefined
+  const occurrences = collectIds(tree)
+
+  /** @type {Set<string>} */
+  const used = new Set(
+    occurrences.map(function (occurrence) {
+      return occurrence.id
+    })
+  )
+  /** @type {Map<string, Occurrence>} */
+  const seen = new Map()
+  /** @type {Array<IdCollision>} */
+  const collisions = []
+
+  for (const occurrence of occurrences) {
+    const first = seen.get(occurrence.id)
+
+    if (!first) {
+      seen.set(occurrence.id, occurrence)
+      continue
+    }
+
+    /** @type {string | undefined} */
+    let renamed
+
+    if (rename) {
+      let count = 1
+      renamed = rename(occurrence.id, count)
+      while (used.has(renamed)) renamed = rename(occurrence.id, ++count)
+      used.add(renamed)
+
+      for (const record of occurrence.records) {
+        record.id = renamed
+      }
+    }
+
+    /** @type {IdCollision} */
+    const collision = {
+      id: occurrence.id,
+      first: first.node,
+      firstPlace: first.node.position,
+      node: occurrence.node,
+      place: occurrence.node.position,
+      renamed
+    }
+
+    collisions.push(collision)
+
+    if (settings.onDiagnostic) {
+      settings.onDiagnostic(
+        new VFileMessage(
+          'Unexpected duplicate id `' +
+            collision.id +
+            '`, expected ids to be unique in the document' +
+            (collision.firstPlace
+              ? ' (first at ' + stringifyPosition(collision.firstPlace) + ')'
+              : ''),
+          {
+            place: collision.place,
+            ruleId: 'duplicate-document-id',
+            source: 'mdast-util-attributes'
+          }
+        )
+      )
+    }
+  }
+
+  return collisions
+}
+
+/**
+ * Find where ids are set, in tree order.
+ *
+ * @param {Nodes} tree
+ * @returns {Array<Occurrence>}
+ */
+export function collectIds(tree) {
+  /** @type {Array<Occurrence>} */
+  const occurrences = []
+  collect(tree, occurrences)
+  return occurrences
+}
+
+/**
+ * @param {Nodes} node
+ * @param {Array<Occurrence>} occurrences
+ */
+function collect(node, occurrences) {
+  /** @type {Array<Attributes>} */
+  const records = []
+
+  if (node.type === 'mdastAttributes') {
+    records.push(/** @type {MdastAttributes} */ (node).attributes)
+  } else if (node.data) {
+    const data = /** @type {{hProperties?: Attributes, mdastAttributes?: Attributes}} */ (
+      node.data
+    )
+    const own =
+      node.type === 'linkReference' || node.type === 'imageReference'
+        ? data.mdastAttributes || data.hProperties
+        : data.hProperties || data.mdastAttributes
+
+    if (own && typeof own.id === 'string' && own.id) {
+      records.push(own)
+
+      // References keep their own attributes apart from the merged ones.
+      if (
+        data.hProperties &&
+        data.hProperties !== own &&
+        data.hProperties.id === own.id
+      ) {
+        records.push(data.hProperties)
+      }
+    }
+  }
+
+  if (records.length > 0 && typeof records[0].id === 'string' && records[0].id) {
+    occurrences.push({node, records, id: records[0].id})
+  }
+
+  if ('children' in node) {
+    for (const child of node.children) collect(child, occurrences)
+  }
+}
+
+/**
+ * @type {Rename}
+ */
+function defaultRename(id, count) {
+  return id + '-' + count
+}
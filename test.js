@@ -1,145 +1,67 @@
 /**
- * @import {Root, Nodes, Parents, Code} from 'mdast'
+ * @import {PhrasingContent, Root} from 'mdast'
+ * @import {Options as FromMarkdownOptions} from 'mdast-util-from-markdown'
+ * @import {Options as ToMarkdownExtension} from 'mdast-util-to-markdown'
+ * @import {OnDiagnostic, Options} from './index.js'
  */
 
 import test from 'node:test'
 import assert from 'node:assert/strict'
 import {fromMarkdown} from 'mdast-util-from-markdown'
+import {
+  gfmFootnoteFromMarkdown,
+  gfmFootnoteToMarkdown
+} from 'mdast-util-gfm-footnote'
+import {
+  gfmStrikethroughFromMarkdown,
+  gfmStrikethroughToMarkdown
+} from 'mdast-util-gfm-strikethrough'
+import {gfmTableFromMarkdown, gfmTableToMarkdown} from 'mdast-util-gfm-table'
+import {
+  gfmTaskListItemFromMarkdown,
+  gfmTaskListItemToMarkdown
+} from 'mdast-util-gfm-task-list-item'
+import {toHast} from 'mdast-util-to-hast'
 import {toMarkdown} from 'mdast-util-to-markdown'
+import {toString} from 'mdast-util-to-string'
 import {attributes} from 'micromark-extension-attributes'
-import {attributesFromMarkdown, attributesToMarkdown} from './lib/index.js'
-
-// =============================================================================
-// Minimal transform for testing (since transform is now in remark-attributes)
-// This is a simplified version - the full version is in remark-attributes
-// =============================================================================
-
-/** @type {Set<string>} Inline element types */
-const INLINE_TYPES = new Set(['emphasis', 'strong', 'link', 'image', 'inlineCode'])
-
-/** @type {Set<string>} Block element types */
-const BLOCK_TYPES = new Set(['heading', 'paragraph', 'code', 'blockquote', 'list', 'listItem'])
-
-/**
- * Transform mdastAttributes nodes to hProperties (for testing)
- * @param {Root} tree
- * @returns {Root}
- */
-function attributesTransform(tree) {
-  processCodeBlocks(tree)
-  processStandaloneAttributeParagraphs(tree)
-  processNode(tree)
-  return tree
-}
-
-/** @param {Nodes} node */
-function processCodeBlocks(node) {
-  if (node.type === 'code') {
-    const code = /** @type {Code} */ (node)
-    if (code.data?.mdastAttributes) {
-      code.data.hProperties = code.data.hProperties || {}
-      mergeAttributes(code.data.hProperties, code.data.mdastAttributes)
-      delete code.data.mdastAttributes
-    }
-    return
-  }
-  if ('children' in node) {
-    for (const child of node.children) processCodeBlocks(child)
-  }
-}
-
-/** @param {Root} tree */
-function processStandaloneAttributeParagraphs(tree) {
-  processStandaloneInParent(tree)
-}
-
-/** @param {Parents} parent */
-function processStandaloneInParent(parent) {
-  if (!('children' in parent)) return
-  for (let i = parent.children.length - 1; i >= 0; i--) {
-    const child = parent.children[i]
-    if (child.type === 'paragraph' && child.children.length === 1 &&
-        child.children[0].type === 'mdastAttributes' && i > 0) {
-      const prev = parent.children[i - 1]
-      if (BLOCK_TYPES.has(prev.type)) {
-        mergeAttributesToNode(prev, child.children[0].attributes)
-        parent.children.splice(i, 1)
-        continue
-      }
-    }
-    if ('children' in child) processStandaloneInParent(/** @type {Parents} */ (child))
-  }
-}
-
-/** @param {Nodes} node */
-function processNode(node) {
-  if (!('children' in node)) return
-  const nodeWithChildren = /** @type {Parents} */ (node)
-  for (let i = nodeWithChildren.children.length - 1; i >= 0; i--) {
-    const child = nodeWithChildren.children[i]
-    if (child.type === 'mdastAttributes') {
-      handleAttributeNode(nodeWithChildren, i, child)
-    } else {
-      processNode(child)
-    }
-  }
-}
-
-/** @param {Parents} parent @param {number} index @param {*} attrNode */
-function handleAttributeNode(parent, index, attrNode) {
-  const children = parent.children
-  const prev = index > 0 ? children[index - 1] : null
-
-  if (prev && INLINE_TYPES.has(prev.type)) {
-    const gap = (attrNode.position?.start?.offset ?? -1) - (prev.position?.end?.offset ?? 0)
-    if (gap === 0) {
-      mergeAttributesToNode(prev, attrNode.attributes)
-      children.splice(index, 1)
-      return
-    }
-  }
-
-  if (index === children.length - 1 && BLOCK_TYPES.has(parent.type)) {
-    mergeAttributesToNode(parent, attrNode.attributes)
-    children.splice(index, 1)
-    return
-  }
-
-  children[index] = {type: 'text', value: '{...}', position: attrNode.position}
-}
-
-/** @param {Nodes} node @param {Record<string,string>} attrs */
-function mergeAttributesToNode(node, attrs) {
-  // @ts-ignore
-  node.data = node.data || {}
-  // @ts-ignore
-  node.data.hProperties = node.data.hProperties || {}
-  mergeAttributes(node.data.hProperties, attrs)
-}
-
-/** @param {Record<string,string>} target @param {Record<string,string>} source */
-function mergeAttributes(target, source) {
-  for (const [key, value] of Object.entries(source)) {
-    if (key === 'class' && target.class) target.class += ' ' + value
-    else target[key] = value
-  }
-}
+import {gfmFootnote} from 'micromark-extension-gfm-footnote'
+import {gfmStrikethrough} from 'micromark-extension-gfm-strikethrough'
+import {gfmTable} from 'micromark-extension-gfm-table'
+import {gfmTaskListItem} from 'micromark-extension-gfm-task-list-item'
+import {
+  attachAttributes,
+  attributesFromMarkdown,
+  attributesToHast,
+  attributesToMarkdown,
+  uniqueIds,
+  withAttributes
+} from './index.js'
 
 // =============================================================================
 // Test helpers
 // =============================================================================
 
 /**
- * Parse markdown to mdast with attributes extension (both phases)
+ * Parse markdown to mdast with attributes extension (both phases, unless
+ * `options` are given)
  * @param {string} markdown
+ * @param {Options | null | undefined} [options]
+ *   Configuration for `attributesFromMarkdown`, which then attaches only
+ *   with `attach`.
+ * @param {FromMarkdownOptions | null | undefined} [syntax]
+ *   Other extensions (such as GFM).
  * @returns {Root}
  */
-function parse(markdown) {
+function parse(markdown, options, syntax) {
   const tree = fromMarkdown(markdown, {
-    extensions: [attributes()],
-    mdastExtensions: [attributesFromMarkdown()]
+    extensions: [...(syntax?.extensions || []), attributes()],
+    mdastExtensions: [
+      ...(syntax?.mdastExtensions || []),
+      attributesFromMarkdown(options)
+    ]
   })
-  return attributesTransform(tree)
+  return options ? tree : attachAttributes(tree)
 }
 
 /**
@@ -154,6 +76,17 @@ function parsePhase1(markdown) {
   })
 }
 
+/**
+ * Drop positional info, to compare trees
+ * @param {Root} tree
+ * @returns {unknown}
+ */
+function removePosition(tree) {
+  return JSON.parse(
+    JSON.stringify(tree, (key, value) => (key === 'position' ? undefined : value))
+  )
+}
+
 /**
  * Serialize mdast to markdown with attributes extension
  * @param {Root} tree
@@ -731,9 +664,9 @@ test('toMarkdown: thematic break with attributes', async (t) => {
   }
 
   const result = serialize(tree)
-  // Should output attributes on line before ---
+  // Should output attributes on line before the rule (`***` by default)
   assert.ok(result.includes('{.divider}'))
-  assert.ok(result.includes('---'))
+  assert.ok(result.includes('***'))
 })
 
 test('toMarkdown: thematic break with id and class', async (t) => {
@@ -749,7 +682,7 @@ test('toMarkdown: thematic break with id and class', async (t) => {
   const result = serialize(tree)
   assert.ok(result.includes('#separator'))
   assert.ok(result.includes('.fancy'))
-  assert.ok(result.includes('---'))
+  assert.ok(result.includes('***'))
 })
 
 test('toMarkdown: thematic break without attributes', async (t) => {
@@ -762,7 +695,7 @@ test('toMarkdown: thematic break without attributes', async (t) => {
   }
 
   const result = serialize(tree)
-  assert.ok(result.includes('---'))
+  assert.ok(result.includes('***'))
   // Should not have attribute braces
   assert.ok(!result.includes('{'))
 })
@@ -782,9 +715,2979 @@ test('roundtrip: thematic break with attributes (serialize only)', async (t) =>
   }
 
   const result = serialize(tree)
-  // Should produce {.divider}\n---
+  // Should produce {.divider}\n***
   assert.ok(result.includes('{.divider}'))
-  assert.ok(result.includes('---'))
+  assert.ok(result.includes('***'))
+})
+
+// =============================================================================
+// attachAttributes
+// =============================================================================
+
+test('attachAttributes: standalone attributes before a block', async (t) => {
+  const tree = parse('{.note}\n\n> Quote')
+
+  assert.equal(tree.children.length, 1)
+  const blockquote = tree.children[0]
+  assert.equal(blockquote.type, 'blockquote')
+  assert.deepEqual(blockquote.data?.hProperties, {class: 'note'})
+})
+
+test('attachAttributes: standalone attributes directly below a block', async (t) => {
+  const tree = parse('# Heading\n{#top}\n\nParagraph.')
+
+  assert.equal(tree.children.length, 2)
+  assert.deepEqual(tree.children[0].data?.hProperties, {id: 'top'})
+  assert.equal(tree.children[1].data?.hProperties, undefined)
+})
+
+test('attachAttributes: code attributes move to hProperties', async (t) => {
+  const tree = parse('```js {.highlight}\ncode\n```')
+
+  const code = tree.children[0]
+  assert.equal(code.type, 'code')
+  assert.deepEqual(code.data, {
+    hProperties: {class: 'highlight'},
+    mdastAttributesSource: '{.highlight}'
+  })
+})
+
+test('attachAttributes: thematic break attributes', async (t) => {
+  const tree = parse('{.divider}\n---')
+
+  const hr = tree.children[0]
+  assert.equal(hr.type, 'thematicBreak')
+  assert.ok(!('children' in hr))
+  assert.deepEqual(hr.data?.hProperties, {class: 'divider'})
+})
+
+test('attachAttributes: unattached attributes are kept', async (t) => {
+  const tree = parse('{.a} text')
+
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.equal(paragraph.children[0].type, 'mdastAttributes')
+  assert.equal(paragraph.data?.hProperties, undefined)
+})
+
+test('attachAttributes: custom inline types', async (t) => {
+  const tree = attachAttributes(parsePhase1('*em*{.a}'), {inline: ['strong']})
+
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.children[0].data?.hProperties, undefined)
+  // Falls back to the trailing block rule.
+  assert.deepEqual(paragraph.data?.hProperties, {class: 'a'})
+})
+
+test('attributesFromMarkdown: `attach` option', async (t) => {
+  const tree = parse('*em*{.a} text {#p}', {attach: true})
+
+  const paragraph = tree.children[0]
+  assert.deepEqual(paragraph.data?.hProperties, {id: 'p'})
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {class: 'a'})
+  assert.ok(paragraph.children.every((d) => d.type !== 'mdastAttributes'))
+})
+
+// =============================================================================
+// attributesFromMarkdown: `blocks` option
+// =============================================================================
+
+test('blocks: paragraph disabled', async (t) => {
+  const tree = parse('Render it with {name}', {
+    blocks: ['heading', 'code'],
+    attach: true
+  })
+
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.equal(paragraph.data?.hProperties, undefined)
+  assert.deepEqual(paragraph.children, [
+    {
+      type: 'text',
+      value: 'Render it with {name}',
+      position: paragraph.children[0].position
+    }
+  ])
+  assert.equal(paragraph.children[0].position?.end.offset, 21)
+})
+
+test('blocks: paragraph disabled keeps inline attributes', async (t) => {
+  const tree = parse('Some *em*{.x}', {blocks: ['heading'], attach: true})
+
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.data?.hProperties, undefined)
+  assert.deepEqual(paragraph.children[1].data?.hProperties, {class: 'x'})
+})
+
+test('blocks: paragraph disabled keeps attribute lines as text', async (t) => {
+  const tree = parse('{name}\n\n{.a}\n> b\n\n{.c}\n***\n\nd {.e}', {
+    blocks: ['heading'],
+    attach: true
+  })
+
+  assert.deepEqual(
+    tree.children.map(function (node) {
+      return [node.type, node.data?.hProperties, toString(node)]
+    }),
+    [
+      ['paragraph', undefined, '{name}'],
+      ['paragraph', undefined, '{.a}'],
+      ['blockquote', undefined, 'b'],
+      ['paragraph', undefined, '{.c}'],
+      ['thematicBreak', undefined, ''],
+      ['paragraph', undefined, 'd {.e}']
+    ]
+  )
+})
+
+test('blocks: heading disabled', async (t) => {
+  const tree = parse('# Heading {#id}', {
+    blocks: ['paragraph'],
+    attach: true
+  })
+
+  const heading = tree.children[0]
+  assert.equal(heading.type, 'heading')
+  assert.equal(heading.data?.hProperties, undefined)
+  assert.equal(heading.children.length, 1)
+  assert.equal(heading.children[0].type, 'text')
+  assert.equal(heading.children[0].value, 'Heading {#id}')
+})
+
+test('blocks: heading disabled still converts attribute thematic breaks', async (t) => {
+  const tree = parse('{.x}\n---', {blocks: ['paragraph'], attach: true})
+
+  assert.equal(tree.children[0].type, 'thematicBreak')
+  assert.deepEqual(tree.children[0].data?.hProperties, {class: 'x'})
+})
+
+test('blocks: code disabled', async (t) => {
+  const tree = parse('```js {.x}\ncode\n```', {
+    blocks: ['heading'],
+    attach: true
+  })
+
+  const code = tree.children[0]
+  assert.equal(code.type, 'code')
+  assert.equal(code.lang, 'js')
+  assert.equal(code.meta, '{.x}')
+  assert.equal(code.data, undefined)
+})
+
+test('blocks: code enabled, heading disabled', async (t) => {
+  const tree = parse('```js {.x}\ncode\n```', {blocks: ['code'], attach: true})
+
+  assert.deepEqual(tree.children[0].data?.hProperties, {class: 'x'})
+})
+
+test('blocks: nested paragraphs follow the option', async (t) => {
+  const tree = parse('> * item {.x}\n\n# H {#h}', {
+    blocks: ['heading'],
+    attach: true
+  })
+
+  const blockquote = tree.children[0]
+  assert.equal(blockquote.type, 'blockquote')
+  const list = blockquote.children[0]
+  assert.equal(list.type, 'list')
+  const paragraph = list.children[0].children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.equal(paragraph.children[0].value, 'item {.x}')
+  assert.equal(list.children[0].data?.hProperties, undefined)
+  assert.deepEqual(tree.children[1].data?.hProperties, {id: 'h'})
+})
+
+// =============================================================================
+// Blockquotes, lists, and list items
+// =============================================================================
+
+test('fromMarkdown: attributes line before a blockquote', async (t) => {
+  const tree = parse('Text.\n\n{.note}\n> Quote')
+
+  assert.equal(tree.children.length, 2)
+  assert.equal(tree.children[0].data?.hProperties, undefined)
+  assert.equal(tree.children[1].type, 'blockquote')
+  assert.deepEqual(tree.children[1].data?.hProperties, {class: 'note'})
+})
+
+test('fromMarkdown: attributes line before a list', async (t) => {
+  const tree = parse('{#steps}\n* a\n* b')
+
+  const list = tree.children[0]
+  assert.equal(list.type, 'list')
+  assert.deepEqual(list.data?.hProperties, {id: 'steps'})
+})
+
+test('fromMarkdown: attributes at the start of a list item', async (t) => {
+  const tree = parse('* {.done} a {.p}\n* b')
+
+  const list = tree.children[0]
+  assert.equal(list.type, 'list')
+  const item = list.children[0]
+  assert.deepEqual(item.data?.hProperties, {class: 'done'})
+  const paragraph = item.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(paragraph.data?.hProperties, {class: 'p'})
+  assert.equal(paragraph.children[0].type, 'text')
+  assert.equal(paragraph.children[0].value.trim(), 'a')
+  assert.equal(paragraph.children[0].position?.start.column, 11)
+  assert.equal(list.children[1].data?.hProperties, undefined)
+})
+
+test('fromMarkdown: list item with only attributes', async (t) => {
+  const tree = parse('* {.empty}')
+
+  const item = tree.children[0].children[0]
+  assert.deepEqual(item.children, [])
+  assert.deepEqual(item.data?.hProperties, {class: 'empty'})
+})
+
+test('toMarkdown: blockquote with attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {type: 'paragraph', children: [{type: 'text', value: 'Text.'}]},
+      {
+        type: 'blockquote',
+        data: {hProperties: {class: 'note'}},
+        children: [{type: 'paragraph', children: [{type: 'text', value: 'Quote'}]}]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), 'Text.\n\n{.note}\n> Quote\n')
+})
+
+test('toMarkdown: list and list items with attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'list',
+      ordered: true,
+      start: 3,
+      spread: false,
+      data: {hProperties: {id: 'steps'}},
+      children: [
+        {
+          type: 'listItem',
+          spread: false,
+          data: {hProperties: {class: 'done'}},
+          children: [{type: 'paragraph', children: [{type: 'text', value: 'a'}]}]
+        },
+        {
+          type: 'listItem',
+          spread: false,
+          data: {hProperties: {class: 'code'}},
+          children: [{type: 'code', lang: 'js', value: 'b'}]
+        },
+        {
+          type: 'listItem',
+          spread: false,
+          data: {hProperties: {class: 'empty'}},
+          children: []
+        }
+      ]
+    }]
+  }
+
+  assert.equal(
+    serialize(tree),
+    '{#steps}\n\n3. {.done} a\n4. {.code}\n   ```js\n   b\n   ```\n5. {.empty}\n'
+  )
+})
+
+test('toMarkdown: attributed blockquote in a tight list item', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'list',
+      spread: false,
+      children: [{
+        type: 'listItem',
+        spread: false,
+        children: [
+          {type: 'paragraph', children: [{type: 'text', value: 'a'}]},
+          {
+            type: 'blockquote',
+            data: {hProperties: {class: 'q'}},
+            children: [{type: 'paragraph', children: [{type: 'text', value: 'b'}]}]
+          }
+        ]
+      }]
+    }]
+  }
+
+  // A blank line keeps `{.q}` from continuing the paragraph.
+  assert.equal(serialize(tree), '* a\n\n  {.q}\n  > b\n')
+})
+
+test('roundtrip: blockquote, list, and list item attributes', async (t) => {
+  const input = '{.note}\n> Quote\n\n{#steps}\n* {.done} a\n* b\n'
+  const tree = parse(input)
+
+  assert.deepEqual(tree.children[0].data?.hProperties, {class: 'note'})
+  assert.deepEqual(tree.children[1].data?.hProperties, {id: 'steps'})
+  assert.equal(serialize(tree), input)
+})
+
+test('roundtrip: paragraph attributes', async (t) => {
+  const input = 'Hello world {.x}\n'
+  const tree = parse(input)
+
+  assert.deepEqual(tree.children[0].data?.hProperties, {class: 'x'})
+  assert.equal(serialize(tree), input)
+  assert.deepEqual(
+    removePosition(parse(serialize(tree))),
+    removePosition(parse(input))
+  )
+})
+
+// =============================================================================
+// Tables
+// =============================================================================
+
+/**
+ * GFM table syntax, to parse with
+ * @type {FromMarkdownOptions}
+ */
+const tableSyntax = {
+  extensions: [gfmTable()],
+  mdastExtensions: [gfmTableFromMarkdown()]
+}
+
+/**
+ * Serialize mdast with GFM tables and attributes
+ * @param {Root} tree
+ * @returns {string}
+ */
+function serializeTable(tree) {
+  const table = gfmTableToMarkdown()
+  return toMarkdown(tree, {
+    extensions: [table, attributesToMarkdown({extensions: [table]})]
+  })
+}
+
+test('fromMarkdown: table, row, and cell attributes', async (t) => {
+  const tree = parse(
+    '{#prices}\n| {.head} Item | Price |\n| - | -: |\n| Tea | 2 {.num} |',
+    undefined,
+    tableSyntax
+  )
+
+  const table = tree.children[0]
+  assert.equal(table.type, 'table')
+  assert.deepEqual(table.align, [null, 'right'])
+  assert.deepEqual(table.data?.hProperties, {id: 'prices'})
+
+  const head = table.children[0]
+  assert.deepEqual(head.data?.hProperties, {class: 'head'})
+  assert.equal(head.children[0].children[0].value, 'Item')
+  assert.equal(head.children[0].data?.hProperties, undefined)
+
+  const cell = table.children[1].children[1]
+  assert.deepEqual(cell.data?.hProperties, {class: 'num'})
+  assert.equal(cell.children[0].value.trim(), '2')
+  assert.equal(table.children[1].data?.hProperties, undefined)
+})
+
+test('fromMarkdown: cell with only attributes', async (t) => {
+  const tree = parse(
+    '| a | b |\n| - | - |\n| {.empty} | {.x} |',
+    undefined,
+    tableSyntax
+  )
+
+  const row = tree.children[0].children[1]
+  assert.equal(row.data?.hProperties, undefined)
+  assert.deepEqual(row.children[0].children, [])
+  assert.deepEqual(row.children[0].data?.hProperties, {class: 'empty'})
+  assert.deepEqual(row.children[1].data?.hProperties, {class: 'x'})
+})
+
+test('fromMarkdown: table attributes with `blocks` turned off', async (t) => {
+  const tree = parse(
+    '| {.r} a | b {.c} |\n| - | - |',
+    {attach: true, blocks: ['paragraph']},
+    tableSyntax
+  )
+
+  const row = tree.children[0].children[0]
+  assert.equal(row.data?.hProperties, undefined)
+  assert.equal(row.children[1].data?.hProperties, undefined)
+  assert.equal(row.children[1].children[0].value, 'b {.c}')
+})
+
+test('toMarkdown: table, row, and cell attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'table',
+      align: [null, 'right'],
+      data: {hProperties: {id: 'prices'}},
+      children: [
+        {
+          type: 'tableRow',
+          data: {hProperties: {class: 'head'}},
+          children: [
+            {type: 'tableCell', children: [{type: 'text', value: 'Item'}]},
+            {type: 'tableCell', children: [{type: 'text', value: 'Price'}]}
+          ]
+        },
+        {
+          type: 'tableRow',
+          children: [
+            {type: 'tableCell', children: [{type: 'text', value: 'Tea'}]},
+            {
+              type: 'tableCell',
+              data: {hProperties: {class: 'num', title: 'a|b'}},
+              children: [{type: 'text', value: '2'}]
+            }
+          ]
+        }
+      ]
+    }]
+  }
+
+  assert.equal(
+    serializeTable(tree),
+    '{#prices}\n' +
+      '| {.head} Item |                     Price |\n' +
+      '| ------------ | ------------------------: |\n' +
+      '| Tea          | 2 {.num title="a&#x7C;b"} |\n'
+  )
+})
+
+test('roundtrip: table attributes', async (t) => {
+  const input =
+    'Text\n\n{.wide}\n| {.head} a | b |\n| :- | -: |\n| 1 {.num} | {.c} |'
+  const tree = parse(input, undefined, tableSyntax)
+  const again = parse(serializeTable(tree), undefined, tableSyntax)
+
+  assert.deepEqual(removePosition(again), removePosition(tree))
+})
+
+test('toMarkdown: tables use the options of the GFM extension', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'table',
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+              {type: 'tableCell', children: [{type: 'text', value: 'bcd'}]}
+            ]
+          },
+          {
+            type: 'tableRow',
+            data: {hProperties: {class: 'e'}},
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'f'}]},
+              {type: 'tableCell', children: [{type: 'text', value: 'g'}]}
+            ]
+          }
+        ]
+      }
+    ]
+  }
+  const table = gfmTableToMarkdown({tablePipeAlign: false})
+
+  assert.equal(
+    toMarkdown(tree, {extensions: [table, attributesToMarkdown()]}),
+    '| a | bcd |\n| - | - |\n| f | g |\n'
+  )
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [table, attributesToMarkdown({extensions: [table]})]
+    }),
+    '| a | bcd |\n| - | - |\n| {.e} f | g |\n'
+  )
+})
+
+test('toMarkdown: pipes in ids and classes of rows and cells', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'table',
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+              {type: 'tableCell', children: [{type: 'text', value: 'b'}]}
+            ]
+          },
+          {
+            type: 'tableRow',
+            data: {hProperties: {id: 'p|q'}},
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'c'}]},
+              {
+                type: 'tableCell',
+                data: {hProperties: {class: 'x|y z'}},
+                children: [{type: 'text', value: 'd'}]
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+  const table = gfmTableToMarkdown({tablePipeAlign: false})
+  const result = toMarkdown(tree, {
+    extensions: [table, attributesToMarkdown({extensions: [table]})]
+  })
+
+  assert.equal(
+    result,
+    '| a | b |\n| - | - |\n| {id="p&#x7C;q"} c | d {class="x&#x7C;y z"} |\n'
+  )
+
+  const again = parse(result, undefined, tableSyntax).children[0]
+  assert.equal(again.type, 'table')
+  const row = again.children[1]
+  assert.deepEqual(row.data?.hProperties, {id: 'p|q'})
+  assert.deepEqual(row.children[1].data?.hProperties, {class: 'x|y z'})
+})
+
+test('toMarkdown: GFM handlers are only wrapped when given', async (t) => {
+  const handlers = attributesToMarkdown().handlers || {}
+
+  assert.deepEqual(
+    ['table', 'tableRow', 'tableCell', 'delete', 'footnoteReference'].filter(
+      function (type) {
+        return Object.hasOwn(handlers, type)
+      }
+    ),
+    []
+  )
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [{type: 'delete', children: [{type: 'text', value: 'a'}]}]
+      }
+    ]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [gfmStrikethroughToMarkdown(), attributesToMarkdown()]
+    }),
+    '~~a~~\n'
+  )
+})
+
+// =============================================================================
+// References and definitions
+// =============================================================================
+
+test('fromMarkdown: link and image references with attributes', async (t) => {
+  const tree = parse('[text][ref]{.ext} ![alt][logo]{width=40}\n\n[ref]: /a\n\n[logo]: /b')
+
+  const paragraph = tree.children[0]
+  const link = paragraph.children[0]
+  assert.equal(link.type, 'linkReference')
+  assert.deepEqual(link.data?.hProperties, {class: 'ext'})
+
+  const image = paragraph.children.find((d) => d.type === 'imageReference')
+  assert.ok(image)
+  assert.deepEqual(image.data?.hProperties, {width: '40'})
+})
+
+test('fromMarkdown: definition attributes apply to references', async (t) => {
+  const tree = parse(
+    '[a][ref] and [b][ref]{rel=me .own}\n\n[ref]: /url "Title"\n{rel=nofollow .ext}'
+  )
+
+  const definition = tree.children[1]
+  assert.equal(definition.type, 'definition')
+  assert.equal(definition.title, 'Title')
+  assert.deepEqual(definition.data?.hProperties, {rel: 'nofollow', class: 'ext'})
+  assert.equal(tree.children.length, 2)
+
+  const [a, , b] = tree.children[0].children
+  assert.equal(a.type, 'linkReference')
+  assert.deepEqual(a.data?.hProperties, {rel: 'nofollow', class: 'ext'})
+  assert.equal(b.type, 'linkReference')
+  assert.deepEqual(b.data?.hProperties, {rel: 'me', class: 'ext own'})
+})
+
+test('fromMarkdown: definition attributes on the same line', async (t) => {
+  const tree = parse(
+    'See [a][ref], [ref][], and ![b][ref].\n\n[ref]: /url "Title" {rel=nofollow .ext}'
+  )
+
+  assert.equal(tree.children.length, 2)
+  const definition = tree.children[1]
+  assert.equal(definition.type, 'definition')
+  assert.equal(definition.identifier, 'ref')
+  assert.equal(definition.url, '/url')
+  assert.equal(definition.title, 'Title')
+  assert.deepEqual(definition.data?.hProperties, {rel: 'nofollow', class: 'ext'})
+  assert.deepEqual(definition.position?.start, {line: 3, column: 1, offset: 39})
+
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(
+    paragraph.children.map(function (node) {
+      return [
+        node.type,
+        'referenceType' in node ? node.referenceType : undefined,
+        node.data?.hProperties
+      ]
+    }),
+    [
+      ['text', undefined, undefined],
+      ['linkReference', 'full', {rel: 'nofollow', class: 'ext'}],
+      ['text', undefined, undefined],
+      ['linkReference', 'collapsed', {rel: 'nofollow', class: 'ext'}],
+      ['text', undefined, undefined],
+      ['imageReference', 'full', {rel: 'nofollow', class: 'ext'}],
+      ['text', undefined, undefined]
+    ]
+  )
+  assert.equal(paragraph.children[1].position?.start.offset, 4)
+  assert.equal(paragraph.children[1].position?.end.offset, 12)
+
+  const escaped = parse('\\[ref]: /url {.a}\n\n[ref]')
+  assert.deepEqual(
+    escaped.children.map(function (node) {
+      return node.type
+    }),
+    ['paragraph', 'paragraph']
+  )
+  assert.equal(escaped.children[1].children[0].type, 'text')
+})
+
+test('toMarkdown: references and definitions with attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'linkReference',
+            identifier: 'ref',
+            label: 'ref',
+            referenceType: 'collapsed',
+            data: {hProperties: {class: 'ext'}},
+            children: [{type: 'text', value: 'ref'}]
+          },
+          {type: 'text', value: ' '},
+          {
+            type: 'imageReference',
+            identifier: 'logo',
+            label: 'logo',
+            referenceType: 'full',
+            alt: 'alt',
+            data: {hProperties: {width: '40'}}
+          }
+        ]
+      },
+      {
+        type: 'definition',
+        identifier: 'ref',
+        label: 'ref',
+        url: '/url',
+        data: {hProperties: {rel: 'nofollow'}}
+      },
+      {type: 'definition', identifier: 'logo', label: 'logo', url: '/b'}
+    ]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [attributesToMarkdown()],
+      tightDefinitions: true
+    }),
+    '[ref][]{.ext} ![alt][logo]{width="40"}\n\n[ref]: /url\n{rel="nofollow"}\n\n[logo]: /b\n'
+  )
+})
+
+test('roundtrip: definition attributes are not copied to references', async (t) => {
+  const input = '[a][ref] [b][ref]{.own}\n\n[ref]: /url\n{rel="nofollow"}\n'
+  const tree = parse(input)
+
+  assert.deepEqual(tree.children[0].children[0].data?.hProperties, {
+    rel: 'nofollow'
+  })
+  assert.equal(serialize(tree), input)
+})
+
+// =============================================================================
+// GFM strikethrough, footnote references, and autolinks
+// =============================================================================
+
+/**
+ * GFM strikethrough and footnote syntax, to parse with
+ * @type {FromMarkdownOptions}
+ */
+const gfmSyntax = {
+  extensions: [gfmStrikethrough(), gfmFootnote()],
+  mdastExtensions: [gfmStrikethroughFromMarkdown(), gfmFootnoteFromMarkdown()]
+}
+
+/**
+ * Serialize mdast with GFM strikethrough, footnotes, and attributes
+ * @param {Root} tree
+ * @returns {string}
+ */
+function serializeGfm(tree) {
+  const gfm = [gfmStrikethroughToMarkdown(), gfmFootnoteToMarkdown()]
+  return toMarkdown(tree, {
+    extensions: [...gfm, attributesToMarkdown({extensions: gfm})]
+  })
+}
+
+test('fromMarkdown: strikethrough with attributes', async (t) => {
+  const tree = parse('~~old~~{.removed} new', undefined, gfmSyntax)
+
+  const node = tree.children[0].children[0]
+  assert.equal(node.type, 'delete')
+  assert.deepEqual(node.data?.hProperties, {class: 'removed'})
+})
+
+test('fromMarkdown: footnote reference with attributes', async (t) => {
+  const tree = parse('Text[^1]{.ref}\n\n[^1]: Note.', undefined, gfmSyntax)
+
+  const node = tree.children[0].children[1]
+  assert.equal(node.type, 'footnoteReference')
+  assert.deepEqual(node.data?.hProperties, {class: 'ref'})
+})
+
+test('fromMarkdown: autolink with attributes', async (t) => {
+  const tree = parse('<https://example.com>{target=_blank}')
+
+  const node = tree.children[0].children[0]
+  assert.equal(node.type, 'link')
+  assert.equal(node.url, 'https://example.com')
+  assert.deepEqual(node.data?.hProperties, {target: '_blank'})
+})
+
+test('roundtrip: strikethrough, footnote reference, and autolink', async (t) => {
+  const input =
+    '~~old~~{.removed} Text[^1]{.ref} <https://example.com>{target="_blank"}\n\n[^1]: Note.\n'
+  const tree = parse(input, undefined, gfmSyntax)
+
+  assert.equal(serializeGfm(tree), input)
+})
+
+// =============================================================================
+// toMarkdown: Code fences
+// =============================================================================
+
+test('toMarkdown: code keeps meta before attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'code',
+      lang: 'js',
+      meta: 'title="a.js"',
+      data: {hProperties: {class: 'numbered'}},
+      value: 'const a = 1'
+    }]
+  }
+
+  assert.equal(
+    serialize(tree),
+    '```js title="a.js" {.numbered}\nconst a = 1\n```\n'
+  )
+})
+
+test('toMarkdown: code fence longer than fences in the code', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'code',
+      lang: 'md',
+      data: {hProperties: {id: 'x'}},
+      value: '```js\nx\n```'
+    }]
+  }
+
+  assert.equal(serialize(tree), '````md {#x}\n```js\nx\n```\n````\n')
+})
+
+test('toMarkdown: code with `fence: \'~\'`', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'code',
+      lang: 'js',
+      data: {hProperties: {class: 'x'}},
+      value: 'a'
+    }]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {extensions: [attributesToMarkdown()], fence: '~'}),
+    '~~~js {.x}\na\n~~~\n'
+  )
+})
+
+test('toMarkdown: code attributes encode grave accents', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'code',
+      data: {hProperties: {title: 'a`b'}},
+      value: 'a'
+    }]
+  }
+
+  assert.equal(serialize(tree), '``` {title="a&#x60;b"}\na\n```\n')
+})
+
+test('roundtrip: code with lang, meta, and attributes', async (t) => {
+  const input = '```js title="a.js" {#main .numbered}\nconst a = 1\n```\n'
+  const tree = parse(input)
+
+  const code = tree.children[0]
+  assert.equal(code.type, 'code')
+  assert.equal(code.meta, 'title="a.js"')
+  assert.equal(serialize(tree), input)
+})
+
+// =============================================================================
+// Setext headings
+// =============================================================================
+
+test('toMarkdown: setext heading with attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'heading',
+        depth: 1,
+        data: {hProperties: {id: 'top'}},
+        children: [{type: 'text', value: 'Title'}]
+      },
+      {
+        type: 'heading',
+        depth: 2,
+        data: {hProperties: {class: 'sub'}},
+        children: [{type: 'text', value: 'Sub'}]
+      },
+      {
+        type: 'heading',
+        depth: 3,
+        data: {hProperties: {class: 'deep'}},
+        children: [{type: 'text', value: 'Deep'}]
+      }
+    ]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {setext: true, extensions: [attributesToMarkdown()]}),
+    'Title {#top}\n============\n\nSub {.sub}\n----------\n\n### Deep {.deep}\n'
+  )
+})
+
+test('toMarkdown: setext heading without attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'heading',
+      depth: 2,
+      children: [{type: 'text', value: 'Sub'}]
+    }]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {setext: true, extensions: [attributesToMarkdown()]}),
+    'Sub\n---\n'
+  )
+})
+
+test('toMarkdown: heading with a break and attributes is setext', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'heading',
+      depth: 1,
+      data: {hProperties: {id: 'x'}},
+      children: [
+        {type: 'text', value: 'One'},
+        {type: 'break'},
+        {type: 'text', value: 'two'}
+      ]
+    }]
+  }
+
+  assert.equal(serialize(tree), 'One\\\ntwo {#x}\n========\n')
+})
+
+test('fromMarkdown: setext heading with attributes stays a heading', async (t) => {
+  for (const [input, depth] of [
+    ['Title {#top}\n=====', 1],
+    ['Title {#top}\n-----', 2]
+  ]) {
+    const heading = parsePhase1(input).children[0]
+    assert.equal(heading.type, 'heading', input)
+    assert.equal(heading.depth, depth, input)
+    assert.equal(heading.children.at(-1).type, 'mdastAttributes', input)
+  }
+})
+
+test('fromMarkdown: ATX heading with only attributes is not a thematic break', async (t) => {
+  const tree = parse('## {.x}')
+  const heading = tree.children[0]
+
+  assert.equal(heading.type, 'heading')
+  assert.equal(heading.depth, 2)
+  assert.deepEqual(heading.data?.hProperties, {class: 'x'})
+})
+
+test('roundtrip: setext headings with attributes', async (t) => {
+  const tree = parse(
+    'Title {#top}\n============\n\nSub {.sub}\n----------\n'
+  )
+
+  assert.deepEqual(
+    tree.children.map((node) => node.type),
+    ['heading', 'heading']
+  )
+  assert.deepEqual(tree.children[0].data?.hProperties, {id: 'top'})
+  assert.deepEqual(tree.children[1].data?.hProperties, {class: 'sub'})
+
+  const result = toMarkdown(tree, {
+    setext: true,
+    extensions: [attributesToMarkdown()]
+  })
+  const again = parse(result)
+
+  assert.match(result, /^Title +\{#top\}\n=+\n\nSub +\{\.sub\}\n-+\n$/)
+  assert.deepEqual(again.children[0].data?.hProperties, {id: 'top'})
+  assert.deepEqual(again.children[1].data?.hProperties, {class: 'sub'})
+})
+
+// =============================================================================
+// Thematic breaks: rule options
+// =============================================================================
+
+test('toMarkdown: thematic break honours rule options', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {type: 'thematicBreak', data: {hProperties: {class: 'x'}}},
+      {type: 'thematicBreak'}
+    ]
+  }
+
+  for (const [options, rule] of [
+    [{rule: '-'}, '---'],
+    [{rule: '*'}, '***'],
+    [{rule: '_', ruleRepetition: 5}, '_____'],
+    [{rule: '-', ruleSpaces: true}, '- - -']
+  ]) {
+    assert.equal(
+      toMarkdown(tree, {...options, extensions: [attributesToMarkdown()]}),
+      '{.x}\n' + rule + '\n\n' + rule + '\n'
+    )
+  }
+})
+
+test('fromMarkdown: attributes directly above a rule target it', async (t) => {
+  for (const input of ['{.x}\n***', '{.x}\n___', '{.x}\n- - -']) {
+    const tree = parse(input)
+
+    assert.equal(tree.children.length, 1, input)
+    assert.equal(tree.children[0].type, 'thematicBreak', input)
+    assert.deepEqual(tree.children[0].data?.hProperties, {class: 'x'}, input)
+  }
+})
+
+test('fromMarkdown: rule attributes keep the position of the rule', async (t) => {
+  const hr = parsePhase1('{.x}\n***').children[0]
+
+  assert.equal(hr.type, 'thematicBreak')
+  assert.equal(hr.position.start.line, 2)
+  assert.equal(hr.children[0].type, 'mdastAttributes')
+  assert.equal(hr.children[0].position.start.line, 1)
+})
+
+test('fromMarkdown: attributes separated from a rule are not moved into it', async (t) => {
+  const tree = parsePhase1('{.x}\n\n***')
+
+  assert.deepEqual(
+    tree.children.map((node) => node.type),
+    ['paragraph', 'thematicBreak']
+  )
+})
+
+test('roundtrip: thematic breaks with attributes and rule options', async (t) => {
+  const input = 'a\n\n{#y .x}\n___\n\nb\n'
+  const tree = parse(input)
+
+  assert.equal(tree.children[1].type, 'thematicBreak')
+  assert.deepEqual(tree.children[1].data?.hProperties, {id: 'y', class: 'x'})
+  assert.equal(
+    toMarkdown(tree, {rule: '_', extensions: [attributesToMarkdown()]}),
+    input
+  )
+})
+
+// =============================================================================
+// toHast
+// =============================================================================
+
+test('toHast: attributes become properties', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'heading',
+      depth: 1,
+      data: {hProperties: {id: 'top', class: 'a b', 'data-foo-bar': 'x'}},
+      children: [{type: 'text', value: 'Title'}]
+    }]
+  }
+
+  assert.deepEqual(toHast(tree, {handlers: attributesToHast()}), {
+    type: 'root',
+    children: [{
+      type: 'element',
+      tagName: 'h1',
+      properties: {id: 'top', className: ['a', 'b'], dataFooBar: 'x'},
+      children: [{type: 'text', value: 'Title'}]
+    }]
+  })
+})
+
+test('toHast: classes are added to existing classes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'code',
+      lang: 'js',
+      data: {hProperties: {class: 'numbered', 'data-line': '3'}},
+      value: 'x'
+    }]
+  }
+
+  const pre = toHast(tree, {handlers: attributesToHast()}).children[0]
+
+  assert.equal(pre.tagName, 'pre')
+  assert.deepEqual(pre.properties, {})
+  assert.deepEqual(pre.children[0].properties, {
+    className: ['language-js', 'numbered'],
+    dataLine: '3'
+  })
+})
+
+test('toHast: data.mdastAttributes become properties', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'list',
+      ordered: false,
+      spread: false,
+      children: [{
+        type: 'listItem',
+        spread: false,
+        data: {mdastAttributes: {class: 'done'}},
+        children: [{
+          type: 'paragraph',
+          children: [{type: 'text', value: 'item'}]
+        }]
+      }]
+    }]
+  }
+
+  const list = toHast(tree, {handlers: attributesToHast()}).children[0]
+  const item = list.children.find((node) => node.type === 'element')
+
+  assert.equal(item.tagName, 'li')
+  assert.deepEqual(item.properties, {className: ['done']})
+})
+
+test('toHast: unattached attributes become text', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [{
+      type: 'paragraph',
+      children: [
+        {type: 'text', value: 'a '},
+        {type: 'mdastAttributes', attributes: {class: 'x'}, value: '{.x}'}
+      ]
+    }]
+  }
+
+  assert.deepEqual(toHast(tree, {handlers: attributesToHast()}), {
+    type: 'root',
+    children: [{
+      type: 'element',
+      tagName: 'p',
+      properties: {},
+      children: [
+        {type: 'text', value: 'a '},
+        {type: 'text', value: '{.x}'}
+      ]
+    }]
+  })
+})
+
+test('toHast: nodes without attributes are unchanged', async (t) => {
+  const tree = parse('# a\n\n*b* [c](d)\n\n```js\ne\n```')
+
+  assert.deepEqual(
+    toHast(tree, {handlers: attributesToHast()}),
+    toHast(tree)
+  )
+})
+
+test('toHast: parsed attributes', async (t) => {
+  const tree = parse('*em*{#a .b hidden}')
+  const paragraph = toHast(tree, {handlers: attributesToHast()}).children[0]
+
+  assert.deepEqual(paragraph.children[0].properties, {
+    id: 'a',
+    className: ['b'],
+    hidden: true
+  })
+})
+
+// =============================================================================
+// Attribute grammar conformance
+// =============================================================================
+
+/**
+ * Attribute sources and the attributes they yield (`null` if invalid).
+ * @type {Array<[string, Record<string, string> | null]>}
+ */
+const grammarCases = [
+  ['{#a}', {id: 'a'}],
+  ['{.a .b}', {class: 'a b'}],
+  ['{#a.b#c}', {id: 'a', class: 'b'}],
+  ['{ .a }', {class: 'a'}],
+  ['{title="a}b"}', {title: 'a}b'}],
+  ["{title='a \"b\"'}", {title: 'a "b"'}],
+  ['{a=b}', {a: 'b'}],
+  ['{a = b}', {a: 'b'}],
+  ['{hidden}', {hidden: ''}],
+  ['{a=""}', {a: ''}],
+  ['{a b=c d}', {a: '', b: 'c', d: ''}],
+  ['{data-x=1 aria-label="x y"}', {'data-x': '1', 'aria-label': 'x y'}],
+  ['{xml:lang=en}', {'xml:lang': 'en'}],
+  ['{a.b:c_d-e}', {'a.b:c_d-e': ''}],
+  ['{_a -b}', {_a: '', '-b': ''}],
+  ['{é=ü}', {é: 'ü'}],
+  ['{title="&amp;"}', {title: '&'}],
+  ['{#a&amp;b}', {id: 'a&b'}],
+  ['{a#b}', {a: '', id: 'b'}],
+  ['{:a}', null],
+  ['{a="b"c}', null],
+  ['{a=<b>}', null],
+  ['{a=b=c}', null],
+  ['{a=b"c}', null],
+  ['{a=}', null],
+  ['{#}', null],
+  ['{# a}', null],
+  ['{.a"b}', null],
+  ['{.a`b}', null],
+  ['{a=b', null],
+  ['{a="b}', null],
+  ['{a!}', null],
+  ['{a\u00A0b}', null]
+]
+
+test('grammar: inline attributes', async (t) => {
+  for (const [source, expected] of grammarCases) {
+    const paragraph = parsePhase1('*a*' + source).children[0]
+    const node = paragraph.children.find(
+      (child) => child.type === 'mdastAttributes'
+    )
+
+    assert.deepEqual(node ? node.attributes : null, expected, source)
+  }
+})
+
+test('grammar: block attributes', async (t) => {
+  for (const [source, expected] of grammarCases) {
+    const code = parsePhase1('~~~js ' + source + '\nx\n~~~').children[0]
+
+    assert.deepEqual(code.data?.mdastAttributes ?? null, expected, source)
+    assert.equal(code.meta, expected ? null : source, source)
+  }
+})
+
+test('grammar: braces in quoted values do not end block attributes', async (t) => {
+  const tree = parse('~~~js title="{a}" {data-x="}" .b}\nx\n~~~')
+  const code = tree.children[0]
+
+  assert.equal(code.meta, 'title="{a}"')
+  assert.deepEqual(code.data?.hProperties, {'data-x': '}', class: 'b'})
+})
+
+// =============================================================================
+// Diagnostics
+// =============================================================================
+
+/**
+ * Create a diagnostic handler that collects messages as `[ruleId, place]`.
+ * @param {Array<[string | undefined, string]>} messages
+ * @returns {OnDiagnostic}
+ */
+function collect(messages) {
+  return function (message) {
+    assert.equal(message.source, 'mdast-util-attributes')
+    const place = message.place
+    messages.push([
+      message.ruleId,
+      place && 'start' in place
+        ? place.start.line +
+          ':' +
+          place.start.column +
+          '-' +
+          place.end.line +
+          ':' +
+          place.end.column
+        : ''
+    ])
+  }
+}
+
+/**
+ * Parse markdown and collect diagnostics as `[ruleId, place]`.
+ * @param {string} markdown
+ * @returns {Array<[string | undefined, string]>}
+ */
+function diagnose(markdown) {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  parse(markdown, {onDiagnostic: collect(messages)})
+  return messages
+}
+
+test('diagnostics: valid attributes are not reported', async (t) => {
+  assert.deepEqual(
+    diagnose('# a {#b .c .d}\n\n*e*{f=g}\n\n* {.h} i\n\n~~~js {.j}\nk\n~~~'),
+    []
+  )
+})
+
+test('diagnostics: duplicate ids', async (t) => {
+  assert.deepEqual(diagnose('# a {#b #c}'), [['duplicate-id', '1:9-1:11']])
+  assert.deepEqual(diagnose('*a*{#b #c}'), [['duplicate-id', '1:8-1:10']])
+  assert.deepEqual(diagnose('* {#b #c} d'), [['duplicate-id', '1:7-1:9']])
+  assert.deepEqual(diagnose('> a\n> b {#c #d}'), [
+    ['duplicate-id', '2:9-2:11']
+  ])
+})
+
+test('diagnostics: duplicate attributes', async (t) => {
+  assert.deepEqual(diagnose('a {b=1 .c b="2" .d}'), [
+    ['duplicate-attribute', '1:11-1:16']
+  ])
+  assert.deepEqual(diagnose('*a*{b b}'), [['duplicate-attribute', '1:7-1:8']])
+})
+
+test('diagnostics: empty attributes', async (t) => {
+  assert.deepEqual(diagnose('a {}'), [['empty-attributes', '1:3-1:5']])
+  assert.deepEqual(diagnose('*a*{}'), [['empty-attributes', '1:4-1:6']])
+  assert.deepEqual(diagnose('* {} b'), [['empty-attributes', '1:3-1:5']])
+})
+
+test('diagnostics: unparseable attributes', async (t) => {
+  assert.deepEqual(diagnose('a {b="c"d}'), [
+    ['unparseable-attributes', '1:3-1:11']
+  ])
+  assert.deepEqual(diagnose('*a*{b=} c'), [
+    ['unparseable-attributes', '1:4-1:8']
+  ])
+  assert.deepEqual(diagnose('* {b=} c'), [
+    ['unparseable-attributes', '1:3-1:7']
+  ])
+  assert.deepEqual(diagnose('a {b} {c=}'), [
+    ['unparseable-attributes', '1:7-1:11']
+  ])
+})
+
+test('diagnostics: code uses the position of the code', async (t) => {
+  assert.deepEqual(diagnose('~~~js {#a #b}\nc\n~~~'), [
+    ['duplicate-id', '1:1-3:4']
+  ])
+  assert.deepEqual(diagnose('~~~js {a=}\nc\n~~~'), [
+    ['unparseable-attributes', '1:1-3:4']
+  ])
+})
+
+// =============================================================================
+// Unique ids
+// =============================================================================
+
+test('uniqueIds: reports later occurrences with both places', async (t) => {
+  const tree = parse('# a {#intro}\n\nb {#intro}\n\n*c*{#intro}')
+  const collisions = uniqueIds(tree)
+
+  assert.deepEqual(
+    collisions.map((collision) => [
+      collision.id,
+      collision.first.type,
+      collision.firstPlace?.start.line,
+      collision.node.type,
+      collision.place?.start.line,
+      collision.renamed
+    ]),
+    [
+      ['intro', 'heading', 1, 'paragraph', 3, undefined],
+      ['intro', 'heading', 1, 'emphasis', 5, undefined]
+    ]
+  )
+  assert.equal(tree.children[1].data?.hProperties?.id, 'intro')
+})
+
+test('uniqueIds: renames later occurrences', async (t) => {
+  const tree = parse('# a {#intro}\n\n# b {#intro}\n\n# c {#intro-1}')
+  const collisions = uniqueIds(tree, {rename: true})
+
+  assert.deepEqual(
+    tree.children.map((node) => node.data?.hProperties?.id),
+    ['intro', 'intro-2', 'intro-1']
+  )
+  assert.equal(collisions[0].renamed, 'intro-2')
+})
+
+test('uniqueIds: custom rename strategy', async (t) => {
+  const tree = parse('# a {#x}\n\n# b {#x}\n\n# c {#x}')
+
+  uniqueIds(tree, {
+    rename(id, count) {
+      return id + '_' + String.fromCharCode(96 + count)
+    }
+  })
+
+  assert.deepEqual(
+    tree.children.map((node) => node.data?.hProperties?.id),
+    ['x', 'x_a', 'x_b']
+  )
+})
+
+test('uniqueIds: unattached attributes and data', async (t) => {
+  const tree = parsePhase1('~~~js {#a}\nb\n~~~\n\n{#a}\n\n* {#a} c')
+  const collisions = uniqueIds(tree, {rename: true})
+
+  assert.deepEqual(
+    collisions.map((collision) => [collision.node.type, collision.renamed]),
+    [
+      ['mdastAttributes', 'a-1'],
+      ['listItem', 'a-2']
+    ]
+  )
+  assert.equal(tree.children[0].data?.mdastAttributes?.id, 'a')
+})
+
+test('uniqueIds: ids of definitions are not repeated on references', async (t) => {
+  const tree = parse('[a][x] [b][x]{.e}\n\n[x]: /u\n{#d}')
+
+  assert.deepEqual(uniqueIds(tree), [])
+})
+
+test('uniqueIds: diagnostics', async (t) => {
+  /** @type {Array<string>} */
+  const reasons = []
+
+  uniqueIds(parse('# a {#b}\n\n# c {#b}'), {
+    onDiagnostic(message) {
+      assert.equal(message.ruleId, 'duplicate-document-id')
+      assert.equal(message.line, 3)
+      reasons.push(message.reason)
+    }
+  })
+
+  assert.deepEqual(reasons, [
+    'Unexpected duplicate id `b`, expected ids to be unique in the document (first at 1:1-1:9)'
+  ])
+})
+
+// =============================================================================
+// Heading ids
+// =============================================================================
+
+test('headingIds: github slugs respect explicit ids', async (t) => {
+  const tree = parse(
+    '# Intro\n\n# Intro {#intro}\n\n## *Hello* World\n\n# Intro\n\npara {#hello-world}',
+    {attach: true, headingIds: 'github'}
+  )
+  const ids = tree.children
+    .filter((node) => node.type === 'heading')
+    .map((node) => node.data?.hProperties?.id)
+
+  assert.deepEqual(ids, ['intro-1', 'intro', 'hello-world-1', 'intro-2'])
+  assert.deepEqual(Object.keys(tree.data?.headingIds || {}), ids)
+  assert.equal(tree.data?.headingIds?.intro, 1)
+  assert.deepEqual(JSON.parse(JSON.stringify(tree)).data.headingIds, {
+    'intro-1': 0,
+    intro: 1,
+    'hello-world-1': 2,
+    'intro-2': 3
+  })
+})
+
+test('headingIds: without attaching', async (t) => {
+  const tree = parse('# a {.b}\n\n# c {#a}', {headingIds: 'github'})
+  const heading = tree.children[0]
+
+  assert.deepEqual(heading.data?.hProperties, {id: 'a-1'})
+  assert.equal(heading.children[heading.children.length - 1].type, 'mdastAttributes')
+  assert.deepEqual(Object.keys(tree.data?.headingIds || {}), ['a-1', 'a'])
+
+  attachAttributes(tree)
+  assert.deepEqual(heading.data?.hProperties, {id: 'a-1', class: 'b'})
+})
+
+test('headingIds: custom function', async (t) => {
+  const tree = parse('# A *b*\n\n# A *b*', {
+    headingIds(text, node) {
+      assert.equal(node.type, 'heading')
+      return 'h-' + text.replace(/ /g, '_')
+    }
+  })
+
+  assert.deepEqual(Object.keys(tree.data?.headingIds || {}), [
+    'h-A_b',
+    'h-A_b-1'
+  ])
+})
+
+test('headingIds: attributes of inline nodes are not heading ids', async (t) => {
+  const tree = parse('# *a*{#b}', {headingIds: 'github'})
+
+  assert.deepEqual(Object.keys(tree.data?.headingIds || {}), ['a'])
+})
+
+// =============================================================================
+// Policy
+// =============================================================================
+
+/**
+ * Create a diagnostic handler that collects messages as `[ruleId, reason]`.
+ * @param {Array<[string | undefined, string]>} messages
+ * @returns {OnDiagnostic}
+ */
+function collectReasons(messages) {
+  return function (message) {
+    messages.push([message.ruleId, message.reason])
+  }
+}
+
+test('policy: attribute names', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse(
+    '# a {#b onclick="alert(1)"}\n\n*c*{style="x" title=y}',
+    {
+      attach: true,
+      policy: {allow: ['id', 'title']},
+      onDiagnostic: collectReasons(messages)
+    }
+  )
+
+  assert.deepEqual(tree.children[0].data?.hProperties, {id: 'b'})
+  assert.deepEqual(tree.children[1].children[0].data?.hProperties, {
+    title: 'y'
+  })
+  assert.deepEqual(messages, [
+    [
+      'disallowed-attribute',
+      'Unexpected attribute `onclick` on `heading`, expected an allowed attribute'
+    ],
+    [
+      'disallowed-attribute',
+      'Unexpected attribute `style` on `emphasis`, expected an allowed attribute'
+    ]
+  ])
+})
+
+test('policy: attribute names per node type', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse(
+    '[a](/b){target=_blank} *c*{target=_blank}\n\n* {data-x=1} d\n\n~~~js {title=e}\nf\n~~~',
+    {
+      attach: true,
+      policy: {
+        allow: {
+          '*': ['id'],
+          link: ['target'],
+          listItem: ['data-x'],
+          code: ['title']
+        }
+      },
+      onDiagnostic: collectReasons(messages)
+    }
+  )
+  const paragraph = tree.children[0]
+
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {target: '_blank'})
+  assert.equal(paragraph.children[2].data?.hProperties, undefined)
+  assert.deepEqual(tree.children[1].children[0].data?.hProperties, {
+    'data-x': '1'
+  })
+  assert.deepEqual(tree.children[2].data?.hProperties, {title: 'e'})
+  assert.deepEqual(
+    messages.map((message) => message[1]),
+    ['Unexpected attribute `target` on `emphasis`, expected an allowed attribute']
+  )
+})
+
+test('policy: classes', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse('a {.ok .lang-js .bad}', {
+    attach: true,
+    policy: {classes: ['ok', /^lang-/]},
+    onDiagnostic: collectReasons(messages)
+  })
+
+  assert.deepEqual(tree.children[0].data?.hProperties, {class: 'ok lang-js'})
+  assert.deepEqual(messages, [
+    [
+      'disallowed-class',
+      'Unexpected class `bad` on `paragraph`, expected an allowed class'
+    ]
+  ])
+})
+
+test('policy: protocols', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse(
+    '![a](b.png){src="javascript:alert(1)"} [c](d){href="java\tscript:x"} [e](f){href="/g:h"} [i](j){href="HTTPS://k"}',
+    {attach: true, policy: {}, onDiagnostic: collectReasons(messages)}
+  )
+  const children = tree.children[0].children
+
+  assert.equal(children[0].data?.hProperties, undefined)
+  assert.equal(children[2].data?.hProperties, undefined)
+  assert.deepEqual(children[4].data?.hProperties, {href: '/g:h'})
+  assert.deepEqual(children[6].data?.hProperties, {href: 'HTTPS://k'})
+  assert.deepEqual(
+    messages.map((message) => message[0]),
+    ['disallowed-protocol', 'disallowed-protocol']
+  )
+
+  messages.length = 0
+  parse('a {href="ftp://b"}', {
+    attach: true,
+    policy: {protocols: ['ftp']},
+    onDiagnostic: collectReasons(messages)
+  })
+  assert.deepEqual(messages, [])
+})
+
+test('policy: checked against the node attributes end up on', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse(
+    '{onclick="a" .b}\n# c\n\n{onclick="d"}\n> e\n\n[f][g]\n\n[g]: /h\n{onclick="i" .j}',
+    {
+      attach: true,
+      policy: {allow: {'*': ['id', 'class'], paragraph: ['onclick']}},
+      onDiagnostic: collectReasons(messages)
+    }
+  )
+  const [heading, blockquote, paragraph, definition] = tree.children
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(heading.data?.hProperties, {class: 'b'})
+  assert.deepEqual(blockquote.data?.hProperties, {})
+  assert.deepEqual(definition.data?.hProperties, {class: 'j'})
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {class: 'j'})
+  assert.deepEqual(messages, [
+    [
+      'disallowed-attribute',
+      'Unexpected attribute `onclick` on `definition`, expected an allowed attribute'
+    ],
+    [
+      'disallowed-attribute',
+      'Unexpected attribute `onclick` on `blockquote`, expected an allowed attribute'
+    ],
+    [
+      'disallowed-attribute',
+      'Unexpected attribute `onclick` on `heading`, expected an allowed attribute'
+    ]
+  ])
+})
+
+test('policy: definition attributes are checked for references', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse('[a][b]\n\n[b]: /c {target="_blank" .d}', {
+    attach: true,
+    policy: {
+      allow: {'*': ['class'], paragraph: ['target'], definition: ['target']}
+    },
+    onDiagnostic: collectReasons(messages)
+  })
+  const [paragraph, definition] = tree.children
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(definition.data?.hProperties, {target: '_blank', class: 'd'})
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {class: 'd'})
+  assert.deepEqual(messages, [
+    [
+      'disallowed-attribute',
+      'Unexpected attribute `target` on `linkReference`, expected an allowed attribute'
+    ]
+  ])
+})
+
+// =============================================================================
+// Serialization style
+// =============================================================================
+
+/** @type {Root} */
+const styleTree = {
+  type: 'root',
+  children: [
+    {
+      type: 'paragraph',
+      children: [
+        {
+          type: 'emphasis',
+          children: [{type: 'text', value: 'a'}],
+          data: {
+            hProperties: {z: '1', class: 'c d', id: 'i', title: "x 'y'"}
+          }
+        }
+      ]
+    }
+  ]
+}
+
+/**
+ * @param {import('./index.js').AttributesStyle} attributes
+ * @returns {string}
+ */
+function serializeStyle(attributes) {
+  return toMarkdown(styleTree, {
+    extensions: [attributesToMarkdown({attributes})]
+  })
+}
+
+test('style: default', async (t) => {
+  assert.equal(
+    serializeStyle({}),
+    '*a*{#i .c .d z="1" title="x \'y\'"}\n'
+  )
+})
+
+test('style: sort', async (t) => {
+  assert.equal(
+    serializeStyle({order: 'sort'}),
+    '*a*{.c .d #i title="x \'y\'" z="1"}\n'
+  )
+})
+
+test('style: source order', async (t) => {
+  // Without source, the order of the object.
+  assert.equal(
+    serializeStyle({order: 'source'}),
+    '*a*{z="1" .c .d #i title="x \'y\'"}\n'
+  )
+
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'text', value: 'a '},
+          {
+            type: 'mdastAttributes',
+            attributes: {id: 'b', class: 'c', d: 'e', f: 'g'},
+            value: '{d=e .c f=g #b}'
+          }
+        ]
+      }
+    ]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [attributesToMarkdown({attributes: {order: 'source'}})]
+    }),
+    'a {d="e" .c f="g" #b}\n'
+  )
+})
+
+test('style: quotes', async (t) => {
+  assert.equal(
+    serializeStyle({quote: "'"}),
+    "*a*{#i .c .d z='1' title='x &#x27;y&#x27;'}\n"
+  )
+})
+
+test('style: unquoted', async (t) => {
+  assert.equal(
+    serializeStyle({unquoted: true}),
+    '*a*{#i .c .d z=1 title="x \'y\'"}\n'
+  )
+})
+
+test('style: long form ids and classes', async (t) => {
+  assert.equal(
+    serializeStyle({shortcuts: false}),
+    '*a*{id="i" class="c d" z="1" title="x \'y\'"}\n'
+  )
+})
+
+test('style: ids and classes that cannot be shortcuts', async (t) => {
+  assert.equal(
+    serialize({
+      type: 'root',
+      children: [
+        {
+          type: 'heading',
+          depth: 1,
+          children: [{type: 'text', value: 'a'}],
+          data: {hProperties: {id: 'b c', class: 'd.e f'}}
+        }
+      ]
+    }),
+    '# a {id="b c" class="d.e f"}\n'
+  )
+})
+
+test('style: round-trip', async (t) => {
+  for (const attributes of [
+    {order: 'sort'},
+    {quote: "'"},
+    {unquoted: true},
+    {shortcuts: false}
+  ]) {
+    const markdown = toMarkdown(styleTree, {
+      extensions: [
+        attributesToMarkdown({
+          attributes: /** @type {import('./index.js').AttributesStyle} */ (
+            attributes
+          )
+        })
+      ]
+    })
+    const emphasis = parse(markdown).children[0].children[0]
+
+    assert.deepEqual(
+      emphasis.data?.hProperties,
+      styleTree.children[0].children[0].data.hProperties,
+      JSON.stringify(attributes)
+    )
+  }
+})
+
+// =============================================================================
+// Lossless attributes
+// =============================================================================
+
+test('lossless: unchanged attributes keep their source', async (t) => {
+  const tree = parsePhase1("a { .b  #c  d='e' }\n\n*f*{.g}")
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [attributesToMarkdown({attributes: {lossless: true}})]
+    }),
+    "a { .b  #c  d='e' }\n\n*f*{.g}\n"
+  )
+})
+
+test('lossless: changed attributes are regenerated', async (t) => {
+  const tree = parsePhase1("a { .b  #c  d='e' }\n\nf {.g}")
+  const first = tree.children[0]
+  const second = tree.children[1]
+  assert.equal(first.type, 'paragraph')
+  assert.equal(second.type, 'paragraph')
+  const changed = first.children[first.children.length - 1]
+  const unchanged = second.children[second.children.length - 1]
+  assert.equal(changed.type, 'mdastAttributes')
+  assert.equal(unchanged.type, 'mdastAttributes')
+  changed.attributes.d = 'h'
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [
+        attributesToMarkdown({attributes: {lossless: true, quote: "'"}})
+      ]
+    }),
+    "a {#c .b d='h'}\n\nf {.g}\n"
+  )
+})
+
+test('lossless: attributes in `data` keep their source', async (t) => {
+  const input =
+    '```js { .a  #b }\nc\n```\n\n* { .d  #e } f\n\n| { .g } h | i |\n| -------- | - |\n\n# j { .k  #l }\n\n{  .m }\n> n\n'
+  const table = gfmTableToMarkdown()
+  const options = {
+    extensions: [
+      table,
+      attributesToMarkdown({extensions: [table], attributes: {lossless: true}})
+    ]
+  }
+
+  assert.equal(
+    toMarkdown(parse(input, undefined, tableSyntax), options),
+    input
+  )
+
+  const tree = parse('~~~js { .a  #b }\nc\n~~~', undefined, tableSyntax)
+  const code = tree.children[0]
+  assert.equal(code.type, 'code')
+  assert.equal(code.data?.mdastAttributesSource, '{ .a  #b }')
+  code.data.hProperties = {id: 'b', class: 'a x'}
+  assert.equal(toMarkdown(tree, options), '```js {#b .a .x}\nc\n```\n')
+})
+
+test('lossless: off by default', async (t) => {
+  assert.equal(serialize(parsePhase1('a { .b }')), 'a {.b}\n')
+})
+
+test('lossless: sources that are not safe are regenerated', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'text', value: 'a '},
+          {
+            type: 'mdastAttributes',
+            attributes: {b: 'cd'},
+            value: '{b="c\nd"}'
+          }
+        ]
+      }
+    ]
+  }
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [attributesToMarkdown({attributes: {lossless: true}})]
+    }),
+    'a {b="cd"}\n'
+  )
+})
+
+// =============================================================================
+// Rich values
+// =============================================================================
+
+test('rich values: valueless attributes are `true` with `booleans`', async (t) => {
+  const tree = parse('*a*{hidden b=""}\n\n# c {open .d}', {
+    attach: true,
+    booleans: true
+  })
+  const paragraph = tree.children[0]
+  const heading = tree.children[1]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {
+    hidden: true,
+    b: ''
+  })
+  assert.deepEqual(heading.data?.hProperties, {open: true, class: 'd'})
+})
+
+test('rich values: valueless attributes are empty by default', async (t) => {
+  const paragraph = parse('*a*{hidden}').children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {hidden: ''})
+})
+
+test('rich values: code and list items', async (t) => {
+  const tree = parse('```js {hidden}\nb\n```\n\n* {open} c', {
+    attach: true,
+    booleans: true
+  })
+  const code = tree.children[0]
+  const list = tree.children[1]
+  assert.equal(list.type, 'list')
+
+  assert.deepEqual(code.data?.hProperties, {hidden: true})
+  assert.deepEqual(list.children[0].data?.hProperties, {open: true})
+})
+
+test('rich values: serialize', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'heading',
+        depth: 1,
+        data: {
+          hProperties: {
+            id: 1,
+            class: ['a', 'b'],
+            hidden: true,
+            removed: false,
+            gone: null,
+            size: 2,
+            rel: ['c', 'd']
+          }
+        },
+        children: [{type: 'text', value: 'e'}]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), '# e {#1 .a .b hidden size="2" rel="c d"}\n')
+})
+
+test('rich values: round trip', async (t) => {
+  const tree = parse('# a {#b .c hidden d=""}', {
+    attach: true,
+    booleans: true
+  })
+  assert.equal(serialize(tree), '# a {#b .c hidden d}\n')
+})
+
+test('rich values: lossless', async (t) => {
+  const tree = parse('a {hidden}', {booleans: true})
+
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [attributesToMarkdown({attributes: {lossless: true}})]
+    }),
+    'a {hidden}\n'
+  )
+})
+
+test('rich values: toHast', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'emphasis',
+            data: {
+              hProperties: {
+                class: ['a', 'b'],
+                hidden: true,
+                tabindex: 1,
+                title: null
+              }
+            },
+            children: [{type: 'text', value: 'c'}]
+          }
+        ]
+      }
+    ]
+  }
+  const paragraph = toHast(tree, {handlers: attributesToHast()}).children[0]
+  assert.equal(paragraph.type, 'element')
+
+  assert.deepEqual(paragraph.children[0].properties, {
+    className: ['a', 'b'],
+    hidden: true,
+    tabIndex: 1
+  })
+})
+
+test('rich values: class lists are merged when attaching', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'code',
+        value: 'a',
+        data: {hProperties: {class: 'b'}, mdastAttributes: {class: ['c', 'd']}}
+      }
+    ]
+  }
+
+  attachAttributes(tree)
+  assert.deepEqual(tree.children[0].data?.hProperties, {class: 'b c d'})
+})
+
+// =============================================================================
+// Merge strategies
+// =============================================================================
+
+test('merge: adjacent attributes blocks target the same node', async (t) => {
+  const tree = parse('*a*{.x}{.y #z}')
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.equal(paragraph.children.length, 1)
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {
+    class: 'x y',
+    id: 'z'
+  })
+})
+
+test('merge: defaults', async (t) => {
+  const tree = attachAttributes(
+    parsePhase1(
+      '*a*{#a .b style="color: red;" title=c}{#d .e .b style="top: 0" title=f}'
+    )
+  )
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {
+    id: 'a',
+    class: 'b e',
+    style: 'color: red; top: 0',
+    title: 'f'
+  })
+})
+
+test('merge: custom strategies', async (t) => {
+  const tree = attachAttributes(
+    parsePhase1('*a*{#a .b rel=c title=d}{#e .f rel=g title=h}'),
+    {
+      merge: {
+        id: 'last',
+        class: 'first',
+        rel: 'concat',
+        title(current, value, key) {
+          return key + ':' + current + '+' + value
+        }
+      }
+    }
+  )
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {
+    id: 'e',
+    class: 'b',
+    rel: 'c g',
+    title: 'title:d+h'
+  })
+})
+
+test('merge: `error` throws on different values', async (t) => {
+  assert.throws(
+    function () {
+      attachAttributes(parsePhase1('*a*{#a}{#b}'), {
+        merge: {id: 'error'}
+      })
+    },
+    function (error) {
+      assert.equal(error.ruleId, 'conflicting-attribute')
+      assert.equal(error.fatal, true)
+      assert.equal(error.place.start.offset, 7)
+      return true
+    }
+  )
+
+  assert.doesNotThrow(function () {
+    attachAttributes(parsePhase1('*a*{#a}{#a}'), {
+      merge: {id: 'error'}
+    })
+  })
+})
+
+test('merge: standalone and trailing attributes', async (t) => {
+  const tree = parse('{#a .b}\n# c {#d .e}')
+  const heading = tree.children[0]
+  assert.equal(heading.type, 'heading')
+  assert.deepEqual(heading.data?.hProperties, {id: 'a', class: 'b e'})
+})
+
+test('merge: attributes are combined in source order', async (t) => {
+  const tree = parse('# a {#b .c}\n{#d .e}')
+  const heading = tree.children[0]
+  assert.equal(heading.type, 'heading')
+  assert.deepEqual(heading.data?.hProperties, {id: 'b', class: 'c e'})
+})
+
+test('merge: attributes given twice in one block', async (t) => {
+  const tree = parse('# a {#b #c style="d" style="e" .f .f}')
+  const heading = tree.children[0]
+  assert.equal(heading.type, 'heading')
+  assert.deepEqual(heading.data?.hProperties, {
+    id: 'b',
+    style: 'd; e',
+    class: 'f'
+  })
+
+  assert.throws(
+    function () {
+      parse('# a {#b #c}', {attach: {merge: {id: 'error'}}})
+    },
+    function (error) {
+      assert.equal(error.ruleId, 'conflicting-attribute')
+      assert.equal(error.place.start.offset, 5)
+      return true
+    }
+  )
+
+  const code = parse('~~~js {#a #b}\nx\n~~~', {
+    attach: {merge: {id: 'last'}}
+  }).children[0]
+  assert.deepEqual(code.data?.hProperties, {id: 'b'})
+})
+
+test('merge: `data.mdastAttributes` into `data.hProperties`', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'code',
+        value: 'a',
+        data: {
+          hProperties: {id: 'b', style: 'c'},
+          mdastAttributes: {id: 'd', style: 'e'}
+        }
+      }
+    ]
+  }
+
+  attachAttributes(tree, {merge: {style: 'last'}})
+  assert.deepEqual(tree.children[0].data?.hProperties, {id: 'b', style: 'e'})
+})
+
+test('merge: references keep their own values', async (t) => {
+  const tree = parse('[a][b]{#c .d}\n\n[b]: /e\n{#f .g .d}', {
+    attach: {merge: {id: 'first', class: 'first'}}
+  })
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(paragraph.children[0].data?.hProperties, {
+    id: 'c',
+    class: 'd'
+  })
+})
+
+// =============================================================================
+// Orphan attributes
+// =============================================================================
+
+test('orphans: kept by default', async (t) => {
+  const paragraph = parse('a {.x} b').children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(
+    paragraph.children.map(function (d) {
+      return d.type
+    }),
+    ['text', 'mdastAttributes', 'text']
+  )
+})
+
+test('orphans: `text`', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse('a {.x} b *c*{.y}', {
+    attach: {orphans: 'text'},
+    onDiagnostic: collect(messages)
+  })
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(paragraph.children[0], {
+    type: 'text',
+    value: 'a {.x} b ',
+    position: {
+      start: {line: 1, column: 1, offset: 0},
+      end: {line: 1, column: 10, offset: 9}
+    }
+  })
+  assert.equal(paragraph.children[1].type, 'emphasis')
+  assert.deepEqual(paragraph.children[1].data?.hProperties, {class: 'y'})
+  assert.deepEqual(messages, [])
+})
+
+test('orphans: `remove`', async (t) => {
+  const tree = parse('a {.x} b', {attach: {orphans: 'remove'}})
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(
+    paragraph.children.map(function (d) {
+      return d.type === 'text' ? d.value : d.type
+    }),
+    ['a ', ' b']
+  )
+})
+
+test('orphans: attributes on their own with no block', async (t) => {
+  const kept = parse('{.x}')
+  const paragraph = kept.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.equal(paragraph.data, undefined)
+  assert.equal(paragraph.children[0].type, 'mdastAttributes')
+
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const warned = parse('> {.y}', {
+    attach: {orphans: 'warn'},
+    onDiagnostic: collect(messages)
+  })
+  const blockquote = warned.children[0]
+  assert.equal(blockquote.type, 'blockquote')
+  assert.deepEqual(removePosition(blockquote.children[0]), {
+    type: 'paragraph',
+    children: [{type: 'text', value: '{.y}'}]
+  })
+  assert.deepEqual(messages, [['orphan-attributes', '1:3-1:7']])
+
+  assert.deepEqual(parse('{.z}', {attach: {orphans: 'remove'}}).children, [])
+})
+
+test('orphans: `warn`', async (t) => {
+  /** @type {Array<[string | undefined, string]>} */
+  const messages = []
+  const tree = parse('a {.x} b\n\n> c {.y} d', {
+    attach: {orphans: 'warn'},
+    onDiagnostic: collect(messages)
+  })
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+
+  assert.deepEqual(paragraph.children, [
+    {
+      type: 'text',
+      value: 'a {.x} b',
+      position: {
+        start: {line: 1, column: 1, offset: 0},
+        end: {line: 1, column: 9, offset: 8}
+      }
+    }
+  ])
+  assert.deepEqual(messages, [
+    ['orphan-attributes', '1:3-1:7'],
+    ['orphan-attributes', '3:5-3:9']
+  ])
+})
+
+// =============================================================================
+// Escaping braces
+// =============================================================================
+
+test('escape: text after an inline node', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'emphasis', children: [{type: 'text', value: 'a'}]},
+          {type: 'text', value: '{.x} b'}
+        ]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), '*a*\\{.x} b\n')
+  assert.deepEqual(removePosition(parse(serialize(tree))), tree)
+})
+
+test('escape: text at the start and end of blocks', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {type: 'heading', depth: 1, children: [{type: 'text', value: 'a {.b}'}]},
+      {
+        type: 'heading',
+        depth: 2,
+        data: {hProperties: {id: 'c'}},
+        children: [{type: 'text', value: 'd {#e}'}]
+      },
+      {type: 'paragraph', children: [{type: 'text', value: 'f {g=h}'}]},
+      {
+        type: 'list',
+        children: [
+          {
+            type: 'listItem',
+            children: [
+              {type: 'paragraph', children: [{type: 'text', value: '{.i} j'}]}
+            ]
+          }
+        ]
+      }
+    ]
+  }
+
+  assert.equal(
+    serialize(tree),
+    '# a \\{.b}\n\n## d \\{#e} {#c}\n\nf \\{g=h}\n\n* \\{.i} j\n'
+  )
+})
+
+test('escape: not in destinations, titles, and alts', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'link',
+            url: '/p{a}',
+            title: 't {b}',
+            children: [{type: 'text', value: 'x'}]
+          },
+          {type: 'text', value: ' '},
+          {type: 'image', url: '/q {c}', title: 'u {d}', alt: 'y {e}'},
+          {type: 'text', value: ' '},
+          {
+            type: 'linkReference',
+            identifier: 'r {f}',
+            label: 'r {f}',
+            referenceType: 'full',
+            children: [{type: 'text', value: 'z'}]
+          }
+        ]
+      }
+    ]
+  }
+
+  assert.equal(
+    serialize(tree),
+    '[x](/p{a} "t {b}") ![y {e}](</q {c}> "u {d}") [z][r {f}]\n'
+  )
+})
+
+test('escape: info strings', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {type: 'code', lang: 'js', meta: 'a {.b}', value: 'c'},
+      {
+        type: 'code',
+        lang: 'js',
+        meta: 'd {#e}',
+        value: 'f',
+        data: {hProperties: {id: 'g'}}
+      }
+    ]
+  }
+
+  assert.equal(
+    serialize(tree),
+    '```js a \\{.b}\nc\n```\n\n```js d \\{#e} {#g}\nf\n```\n'
+  )
+})
+
+test('escape: info strings round-trip', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {type: 'code', lang: '{.a}', meta: null, value: 'b'},
+      {type: 'code', lang: 'js', meta: '{.c}', value: 'd'},
+      {type: 'code', lang: '{#e', meta: '.f}', value: 'g'},
+      {
+        type: 'code',
+        lang: 'js{.h}',
+        meta: 'i {#j}',
+        value: 'k',
+        data: {hProperties: {id: 'l'}, mdastAttributesSource: '{#l}'}
+      }
+    ]
+  }
+
+  assert.deepEqual(removePosition(parse(serialize(tree))), tree)
+})
+
+test('escape: braces that cannot start attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'text', value: 'a {"b"} {'},
+          {type: 'emphasis', children: [{type: 'text', value: 'c'}]},
+          {type: 'text', value: '} d {'}
+        ]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), 'a {"b"} {*c*} d {\n')
+})
+
+/**
+ * Create a random number generator that always makes the same numbers for a
+ * seed (Park–Miller).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function createRandom(seed) {
+  let value = seed
+
+  return function () {
+    value = (value * 16_807) % 2_147_483_647
+    return value / 2_147_483_647
+  }
+}
+
+test('escape: random text round-trips', async (t) => {
+  const random = createRandom(42)
+  const pieces = [
+    '{.x}',
+    '{#y}',
+    '{a=b}',
+    '{ c }',
+    '{}',
+    '{d',
+    'e}',
+    ' ',
+    'f',
+    '{_g}',
+    '{é}',
+    '\\'
+  ]
+
+  /**
+   * @template T
+   * @param {Array<T>} list
+   * @returns {T}
+   */
+  function pick(list) {
+    return list[Math.floor(random() * list.length)]
+  }
+
+  /** @returns {string} */
+  function text() {
+    let value = ''
+    let count = 1 + Math.floor(random() * 4)
+    while (count--) value += pick(pieces)
+    return value
+  }
+
+  /** @returns {PhrasingContent} */
+  function inline() {
+    const attributed = random() < 0.5
+    const kind = Math.floor(random() * 4)
+
+    if (kind === 0) {
+      return {
+        type: 'emphasis',
+        children: [{type: 'text', value: 'a'}],
+        ...(attributed ? {data: {hProperties: {class: 'm'}}} : {})
+      }
+    }
+
+    if (kind === 1) {
+      return {
+        type: 'strong',
+        children: [{type: 'text', value: 'b'}],
+        ...(attributed ? {data: {hProperties: {id: 'n'}}} : {})
+      }
+    }
+
+    if (kind === 2) {
+      return {
+        type: 'inlineCode',
+        value: 'c{.x}',
+        ...(attributed ? {data: {hProperties: {class: 'o'}}} : {})
+      }
+    }
+
+    return {
+      type: 'link',
+      url: '/u',
+      title: null,
+      children: [{type: 'text', value: 'd{.x}'}],
+      ...(attributed ? {data: {hProperties: {rel: 'p'}}} : {})
+    }
+  }
+
+  let run = 0
+
+  while (run++ < 200) {
+    /** @type {Array<PhrasingContent>} */
+    const children = []
+    let count = 1 + Math.floor(random() * 3)
+
+    while (count--) {
+      children.push(inline(), {type: 'text', value: text()})
+    }
+
+    /** @type {Root} */
+    const tree = {
+      type: 'root',
+      children: [
+        random() < 0.5
+          ? {type: 'paragraph', children}
+          : {type: 'heading', depth: 2, children}
+      ]
+    }
+    const output = serialize(tree)
+
+    assert.deepEqual(removePosition(parse(output)), tree, output)
+  }
+})
+
+// =============================================================================
+// Escapes and references before trailing attributes
+// =============================================================================
+
+test('fromMarkdown: escaped braces at the end of blocks are text', async (t) => {
+  assert.deepEqual(removePosition(parse('Price \\{.sale\\}')), {
+    type: 'root',
+    children: [
+      {type: 'paragraph', children: [{type: 'text', value: 'Price {.sale}'}]}
+    ]
+  })
+
+  assert.deepEqual(removePosition(parse('# Price \\{.sale}')), {
+    type: 'root',
+    children: [
+      {
+        type: 'heading',
+        depth: 1,
+        children: [{type: 'text', value: 'Price {.sale}'}]
+      }
+    ]
+  })
+
+  assert.deepEqual(removePosition(parse('a &#123;.x}')), {
+    type: 'root',
+    children: [{type: 'paragraph', children: [{type: 'text', value: 'a {.x}'}]}]
+  })
+
+  const item = parse('* \\{.x} a').children[0]
+  assert.equal(item.type, 'list')
+  assert.equal(item.children[0].data, undefined)
+  assert.deepEqual(removePosition(item.children[0].children[0]), {
+    type: 'paragraph',
+    children: [{type: 'text', value: '{.x} a'}]
+  })
+})
+
+test('fromMarkdown: escaped braces before trailing attributes', async (t) => {
+  const tree = parsePhase1('a \\{.b} {.c}')
+  const paragraph = tree.children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(removePosition(paragraph), {
+    type: 'paragraph',
+    children: [
+      {type: 'text', value: 'a {.b}'},
+      {type: 'mdastAttributes', attributes: {class: 'c'}, value: '{.c}'}
+    ]
+  })
+})
+
+test('fromMarkdown: positions after escapes and references', async (t) => {
+  const paragraph = parsePhase1('a \\* &amp; {.x}').children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(
+    paragraph.children.map(function (d) {
+      return d.position
+    }),
+    [
+      {
+        start: {line: 1, column: 1, offset: 0},
+        end: {line: 1, column: 11, offset: 10}
+      },
+      {
+        start: {line: 1, column: 12, offset: 11},
+        end: {line: 1, column: 16, offset: 15}
+      }
+    ]
+  )
+})
+
+test('fromMarkdown: positions of references after escapes', async (t) => {
+  const paragraph = parse('\\*\\* see [a] b\n\n[a]: /c {.d}').children[0]
+  assert.equal(paragraph.type, 'paragraph')
+  assert.deepEqual(
+    paragraph.children.map(function (d) {
+      return [d.type, d.position?.start.offset, d.position?.end.offset]
+    }),
+    [
+      ['text', 0, 9],
+      ['linkReference', 9, 12],
+      ['text', 12, 14]
+    ]
+  )
+  const reference = paragraph.children[1]
+  assert.equal(reference.type, 'linkReference')
+  assert.deepEqual(reference.children[0].position, {
+    start: {line: 1, column: 11, offset: 10},
+    end: {line: 1, column: 12, offset: 11}
+  })
+})
+
+test('diagnostics: escapes and references', async (t) => {
+  assert.deepEqual(diagnose('a \\{b=}'), [])
+  assert.deepEqual(diagnose('*a*\\{b=} c'), [])
+  assert.deepEqual(diagnose('* \\{b=} a'), [])
+  assert.deepEqual(diagnose('a &amp; {b=}'), [
+    ['unparseable-attributes', '1:9-1:13']
+  ])
+  assert.deepEqual(diagnose('> a\n> b &amp; {b=}'), [
+    ['unparseable-attributes', '2:11-2:15']
+  ])
+})
+
+// =============================================================================
+// Wrapped handlers
+// =============================================================================
+
+test('handlers: attention keeps its markers and gets attributes', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'text', value: 'a '},
+          {
+            type: 'strong',
+            children: [
+              {
+                type: 'emphasis',
+                data: {hProperties: {id: 'b'}},
+                children: [{type: 'text', value: 'c'}]
+              }
+            ]
+          },
+          {type: 'text', value: ' '},
+          {
+            type: 'link',
+            url: '/d',
+            children: [
+              {
+                type: 'emphasis',
+                data: {hProperties: {class: 'e'}},
+                children: [{type: 'text', value: 'f'}]
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), 'a ***c*{#b}** [*f*{.e}](/d)\n')
+})
+
+test('handlers: attention without attributes is written like upstream', async (t) => {
+  /** @type {Root} */
+  const adjacent = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'emphasis', children: [{type: 'text', value: 'a'}]},
+          {type: 'emphasis', children: [{type: 'text', value: 'b'}]}
+        ]
+      }
+    ]
+  }
+  /** @type {Root} */
+  const spaced = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'text', value: 'a'},
+          {type: 'emphasis', children: [{type: 'text', value: ' b'}]},
+          {type: 'text', value: 'c'}
+        ]
+      }
+    ]
+  }
+
+  assert.equal(serialize(adjacent), toMarkdown(adjacent))
+  assert.equal(serialize(adjacent), '*a*_b_\n')
+  assert.equal(serialize(spaced), toMarkdown(spaced))
+  assert.deepEqual(removePosition(parse(serialize(adjacent))), adjacent)
+})
+
+test('handlers: attention with attributes next to attention', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'emphasis',
+            data: {hProperties: {class: 'x'}},
+            children: [{type: 'text', value: 'a'}]
+          },
+          {type: 'emphasis', children: [{type: 'text', value: 'b'}]}
+        ]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), '*a*{.x}*b*\n')
+})
+
+test('handlers: autolinks stay autolinks', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'link',
+            url: 'https://example.com',
+            data: {hProperties: {class: 'x'}},
+            children: [{type: 'text', value: 'https://example.com'}]
+          }
+        ]
+      }
+    ]
+  }
+
+  assert.equal(serialize(tree), '<https://example.com>{.x}\n')
+})
+
+test('handlers: tasks keep their checkbox', async (t) => {
+  const markdown = '* [x] {.a} b\n* [ ] c\n'
+  const tree = parse(
+    markdown,
+    {attach: true},
+    {
+      extensions: [gfmTaskListItem()],
+      mdastExtensions: [gfmTaskListItemFromMarkdown()]
+    }
+  )
+  const [done, todo] = tree.children[0].children
+
+  assert.equal(done.checked, true)
+  assert.deepEqual(done.data?.hProperties, {class: 'a'})
+  assert.equal(todo.checked, false)
+  assert.equal(
+    toMarkdown(tree, {
+      extensions: [
+        gfmTaskListItemToMarkdown(),
+        attributesToMarkdown({extensions: [gfmTaskListItemToMarkdown()]})
+      ]
+    }),
+    markdown
+  )
+  assert.equal(serialize(tree), '* {.a} b\n* c\n')
+})
+
+test('handlers: paragraph handlers of given extensions are wrapped', async (t) => {
+  /** @type {ToMarkdownExtension} */
+  const earlier = {
+    handlers: {
+      paragraph() {
+        return 'b'
+      }
+    }
+  }
+  const result = toMarkdown(
+    {
+      type: 'root',
+      children: [{type: 'paragraph', children: [{type: 'text', value: 'a'}]}]
+    },
+    {extensions: [earlier, attributesToMarkdown({extensions: [earlier]})]}
+  )
+
+  assert.equal(result, 'b\n')
+})
+
+test('handlers: wrap the handlers passed in `handlers`', async (t) => {
+  /** @type {Root} */
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'inlineCode',
+            value: 'a',
+            data: {hProperties: {class: 'b'}}
+          }
+        ]
+      },
+      {
+        type: 'code',
+        lang: 'js',
+        value: 'c',
+        data: {hProperties: {id: 'd'}}
+      }
+    ]
+  }
+
+  const result = toMarkdown(tree, {
+    extensions: [
+      attributesToMarkdown({
+        handlers: {
+          inlineCode(node) {
+            return '<code>' + node.value + '</code>'
+          }
+        }
+      })
+    ]
+  })
+
+  assert.equal(result, '<code>a</code>{.b}\n\n```js {#d}\nc\n```\n')
+})
+
+// =============================================================================
+// Custom node types
+// =============================================================================
+
+/**
+ * Extension that turns blockquotes into `note` containers, and headings into
+ * `caption` blocks, to stand in for the nodes of other extensions.
+ * @type {import('mdast-util-from-markdown').Extension}
+ */
+const customNodes = {
+  transforms: [
+    function (tree) {
+      for (const node of tree.children) {
+        if (node.type === 'blockquote') node.type = 'note'
+        if (node.type === 'heading') node.type = 'caption'
+      }
+    }
+  ]
+}
+
+test('custom: trailing attributes of custom blocks', async (t) => {
+  const tree = parse(
+    '# a {.b}\n\n> c {#d}',
+    {attach: true, custom: {block: ['caption', 'note']}},
+    {mdastExtensions: [customNodes]}
+  )
+  const [caption, note] = tree.children
+
+  assert.equal(caption.type, 'caption')
+  assert.deepEqual(caption.data?.hProperties, {class: 'b'})
+  assert.equal(caption.children[0].value.trim(), 'a')
+  assert.equal(note.type, 'note')
+  assert.deepEqual(note.children[0].data?.hProperties, {id: 'd'})
+})
+
+test('custom: blocks that are not registered are left alone', async (t) => {
+  const tree = parse(
+    '# a {.b}',
+    {attach: true},
+    {mdastExtensions: [customNodes]}
+  )
+
+  assert.equal(tree.children[0].type, 'caption')
+  assert.equal(tree.children[0].data, undefined)
+})
+
+test('custom: attach to custom inline and block nodes', async (t) => {
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'inlineMath', value: 'x'},
+          {type: 'mdastAttributes', attributes: {class: 'a'}, value: '{.a}'}
+        ]
+      },
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'mdastAttributes', attributes: {id: 'b'}, value: '{#b}'}
+        ]
+      },
+      {type: 'math', value: 'y'}
+    ]
+  }
+
+  attachAttributes(tree, {custom: {block: ['math'], inline: ['inlineMath']}})
+
+  assert.deepEqual(removePosition(tree), {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'inlineMath',
+            value: 'x',
+            data: {hProperties: {class: 'a'}, mdastAttributesSource: '{.a}'}
+          }
+        ]
+      },
+      {
+        type: 'math',
+        value: 'y',
+        data: {hProperties: {id: 'b'}, mdastAttributesSource: '{#b}'}
+      }
+    ]
+  })
+})
+
+test('custom: withAttributes', async (t) => {
+  const tree = {
+    type: 'root',
+    children: [
+      {
+        type: 'paragraph',
+        children: [
+          {type: 'text', value: 'a '},
+          {type: 'inlineMath', value: 'x', data: {hProperties: {class: 'b'}}}
+        ]
+      },
+      {type: 'math', value: 'y', data: {hProperties: {id: 'c'}}},
+      {type: 'math', value: 'z'}
+    ]
+  }
+
+  const result = toMarkdown(tree, {
+    extensions: [
+      attributesToMarkdown(),
+      {
+        handlers: {
+          inlineMath: withAttributes(function (node) {
+            return '$' + node.value + '$'
+          }),
+          math: withAttributes(
+            function (node) {
+              return '$$\n' + node.value + '\n$$'
+            },
+            {block: true}
+          )
+        }
+      }
+    ]
+  })
+
+  assert.equal(result, 'a $x${.b}\n\n{#c}\n\n$$\ny\n$$\n\n$$\nz\n$$\n')
 })
 
 console.log('All mdast-util-attributes tests defined')